@@ -0,0 +1,361 @@
+/**
+ * @fileoverview Extracting data from many pages at once
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { pathToFileURL } from "url";
+import path from "path";
+import { detectDriver, assertValidDriver } from "./drivers.js";
+import { createTimeoutError } from "./waits.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {import("./drivers.js").Page} Page
+ * @typedef {import("./drivers.js").Driver} Driver
+ *
+ * @typedef {Object} BatchOptions
+ * @property {{newPage:() => Promise<Page>}} [browser] The browser (or
+ *      Playwright browser context) to open pages in.
+ * @property {() => Promise<Page>} [createPage] A function that returns a new
+ *      page, used instead of `browser`.
+ * @property {number} [concurrency=4] The most pages to extract from at once.
+ * @property {number} [retries=0] The number of times to try a URL again
+ *      after it fails.
+ * @property {number} [retryDelay=0] The milliseconds to wait before
+ *      trying again.
+ * @property {number} [timeout=30000] The most milliseconds that opening a
+ *      page, loading a URL, and extracting from it may take on each try.
+ *
+ * @typedef {Object} BatchProgress
+ * @property {number} total The number of URLs.
+ * @property {number} completed The number of URLs that are finished.
+ * @property {number} succeeded The number of URLs that were extracted from.
+ * @property {number} failed The number of URLs that failed on every try.
+ *
+ * @typedef {Object} BatchResult
+ * @property {number} index The index of the URL in the list.
+ * @property {string} target The URL or file path from the list.
+ * @property {string} url The URL that was loaded.
+ * @property {*} [result] The value returned from `extractFrom()` when
+ *      extraction succeeded.
+ * @property {Error} [error] The error from the last try when extraction
+ *      failed.
+ * @property {number} attempts The number of times the URL was tried.
+ * @property {BatchProgress} progress The progress of the batch after this
+ *      URL finished.
+ *
+ * @typedef {Object} BatchState
+ * @property {() => Promise<Page>} openPage Opens a new page.
+ * @property {number} retries The number of times to try a URL again.
+ * @property {number} retryDelay The milliseconds to wait before trying again.
+ * @property {number} timeout The most milliseconds each try may take.
+ * @property {Object} extractOptions Options for `extractFrom()`.
+ * @property {boolean} stopped True once the caller stops the batch early.
+ * @property {Set<Page>} pages The pages that are open.
+ * @property {Set<() => void>} paused Functions that end each pause early.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const defaultConcurrency = 4;
+const defaultTimeout = 30000;
+
+/**
+ * Pauses for a number of milliseconds, ending early if the batch stops.
+ * @param {BatchState} batch The batch state.
+ * @param {number} ms The milliseconds to pause for.
+ * @returns {Promise<void>}
+ */
+function pause(batch, ms) {
+    return new Promise(resolve => {
+        let timer = null;
+
+        const resume = () => {
+            clearTimeout(timer);
+            batch.paused.delete(resume);
+            resolve();
+        };
+
+        timer = setTimeout(resume, ms);
+        batch.paused.add(resume);
+    });
+}
+
+/**
+ * Converts an item in the list of targets into a URL. Anything that isn't
+ * already a URL is treated as the path to a local file.
+ * @param {string} target The URL or file path.
+ * @returns {string} The URL.
+ */
+function resolveTarget(target) {
+
+    // Windows drive letters, such as "C:", look like URL schemes
+    if (/^[a-z][a-z\d+.-]+:/iu.test(target)) {
+        return target;
+    }
+
+    return pathToFileURL(path.resolve(target)).href;
+}
+
+/**
+ * Closes a page opened for the batch if it's still open and its driver can.
+ * @param {BatchState} batch The batch state.
+ * @param {Page} page The page to close.
+ * @returns {Promise<void>}
+ */
+async function closePage(batch, page) {
+
+    // the page is closed right away if the batch stops
+    if (!batch.pages.delete(page)) {
+        return;
+    }
+
+    const driver = batch.extractOptions.driver || detectDriver(page);
+
+    if (typeof driver.closePage === "function") {
+        await driver.closePage(page);
+    }
+}
+
+/**
+ * Stops a batch early: pauses end, no more tries start, and the open pages
+ * are closed without waiting for the extractions using them.
+ * @param {BatchState} batch The batch state.
+ * @returns {Promise<void>}
+ */
+async function stopBatch(batch) {
+    batch.stopped = true;
+
+    for (const resume of batch.paused) {
+        resume();
+    }
+
+    await Promise.all(Array.from(batch.pages, page => closePage(batch, page).catch(() => {})));
+}
+
+/**
+ * Loads a URL in a new page and extracts data from it, closing the page
+ * afterwards. Opening the page counts toward the timeout, and the page is
+ * also closed if the timeout is reached first.
+ * @param {Object} extractor The `DataExtractor` to use.
+ * @param {string} url The URL to load.
+ * @param {BatchState} batch The batch state.
+ * @returns {Promise<*>} The value returned from `extractFrom()`.
+ * @throws {Error} If the page can't be loaded, the data can't be extracted,
+ *      or the timeout is reached.
+ */
+async function extractUrl(extractor, url, batch) {
+    const { timeout, extractOptions } = batch;
+    const opening = Promise.resolve().then(batch.openPage).then(page => {
+        batch.pages.add(page);
+        return page;
+    });
+    let page;
+    let timer;
+
+    const work = (async () => {
+        page = await opening;
+
+        if (batch.stopped) {
+            throw new Error("The batch was stopped.");
+        }
+
+        const driver = extractOptions.driver || detectDriver(page);
+
+        assertValidDriver(driver);
+
+        if (typeof driver.goto !== "function") {
+            throw new TypeError(`The "${driver.name}" driver can't load URLs.`);
+        }
+
+        await driver.goto(page, url);
+        return extractor.extractFrom(page, { ...extractOptions, driver });
+    })();
+    const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            reject(createTimeoutError(`Timed out after ${timeout}ms extracting from ${url}.`));
+        }, timeout);
+    });
+
+    // work that is still running when the page closes fails on its own
+    work.catch(() => {});
+
+    try {
+        return await Promise.race([work, timedOut]);
+    } finally {
+        clearTimeout(timer);
+
+        const closing = opening.then(openedPage => closePage(batch, openedPage)).catch(() => {});
+
+        // a page that is still opening is closed as soon as it opens
+        if (page) {
+            await closing;
+        }
+    }
+}
+
+/**
+ * Extracts data from a URL, trying again after failures until the batch
+ * stops.
+ * @param {Object} extractor The `DataExtractor` to use.
+ * @param {string} url The URL to load.
+ * @param {BatchState} batch The batch state.
+ * @returns {Promise<{result?:*,error?:Error,attempts:number}>} The result
+ *      or the error from the last try, and the number of tries.
+ */
+async function extractWithRetries(extractor, url, batch) {
+    const { retries, retryDelay } = batch;
+    let error;
+
+    for (let attempts = 1; attempts <= retries + 1; attempts++) {
+        if (attempts > 1 && retryDelay) {
+            await pause(batch, retryDelay);
+        }
+
+        if (batch.stopped) {
+            return { error, attempts: attempts - 1 };
+        }
+
+        try {
+            return { result: await extractUrl(extractor, url, batch), attempts };
+        } catch (ex) {
+            error = ex;
+        }
+    }
+
+    return { error, attempts: retries + 1 };
+}
+
+/**
+ * Extracts data from each URL with a limited number of pages open at once,
+ * producing the results in the order they finish.
+ * @param {Object} extractor The `DataExtractor` to use.
+ * @param {Array<string>} list The URLs or file paths.
+ * @param {number} concurrency The most pages to extract from at once.
+ * @param {BatchState} batch The batch state.
+ * @returns {AsyncGenerator<BatchResult>} The result for each URL.
+ */
+async function *runBatch(extractor, list, concurrency, batch) {
+    const progress = { total: list.length, completed: 0, succeeded: 0, failed: 0 };
+    const running = new Map();
+    let nextIndex = 0;
+
+    const startNext = () => {
+        const index = nextIndex++;
+        const target = list[index];
+        const url = resolveTarget(target);
+
+        running.set(index, extractWithRetries(extractor, url, batch).then(outcome => ({
+            index,
+            target,
+            url,
+            ...outcome
+        })));
+    };
+
+    try {
+        while (running.size < concurrency && nextIndex < list.length) {
+            startNext();
+        }
+
+        while (running.size) {
+            const finished = await Promise.race(running.values());
+
+            running.delete(finished.index);
+
+            if (nextIndex < list.length) {
+                startNext();
+            }
+
+            progress.completed++;
+            progress[finished.error ? "failed" : "succeeded"]++;
+
+            yield { ...finished, progress: { ...progress } };
+        }
+    } finally {
+
+        // when the caller stops early, the remaining results aren't needed
+        if (running.size) {
+            await stopBatch(batch);
+        }
+    }
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Extracts data from many URLs or local files, each in its own page, with
+ * a limited number of pages open at once. Results are produced in the order
+ * they finish. A URL that fails on every try produces a result with an
+ * `error` instead of stopping the batch.
+ * @param {Object} extractor The `DataExtractor` to use.
+ * @param {Iterable<string>} targets The URLs or file paths.
+ * @param {BatchOptions & Object} [options] Options for the batch. Any other
+ *      options are passed to `extractFrom()`.
+ * @returns {AsyncGenerator<BatchResult>} The result for each URL.
+ * @throws {TypeError} If the targets or options are invalid. This is thrown
+ *      right away instead of when the results are first requested.
+ */
+export function extractBatch(extractor, targets, {
+    browser,
+    createPage,
+    concurrency = defaultConcurrency,
+    retries = 0,
+    retryDelay = 0,
+    timeout = defaultTimeout,
+    ...extractOptions
+} = {}) {
+
+    if (!targets || typeof targets[Symbol.iterator] !== "function") {
+        throw new TypeError("Targets must be an iterable of URLs or file paths.");
+    }
+
+    const list = Array.from(targets);
+
+    if (list.some(target => typeof target !== "string" || !target)) {
+        throw new TypeError("Each target must be a non-empty string.");
+    }
+
+    if (typeof createPage !== "function" && !(browser && typeof browser.newPage === "function")) {
+        throw new TypeError("Batch extraction requires a \"browser\" or a \"createPage\" function.");
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new TypeError("Concurrency must be a positive integer.");
+    }
+
+    if (!Number.isInteger(retries) || retries < 0) {
+        throw new TypeError("Retries must be a non-negative integer.");
+    }
+
+    // setTimeout() treats values it can't use, such as Infinity, as 0
+    if (!Number.isFinite(retryDelay) || retryDelay < 0) {
+        throw new TypeError("Retry delay must be a non-negative number.");
+    }
+
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+        throw new TypeError("Timeout must be a positive number.");
+    }
+
+    return runBatch(extractor, list, concurrency, {
+        openPage: typeof createPage === "function" ? createPage : () => browser.newPage(),
+        retries,
+        retryDelay,
+        timeout,
+        extractOptions,
+        stopped: false,
+        pages: new Set(),
+        paused: new Set()
+    });
+}
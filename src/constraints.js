@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Checking extracted values against the constraints of a definition
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Constraints
+ * @property {boolean} [nonEmpty=false] True if the value can't be `null`,
+ *      `NaN`, an empty array, or a string containing only whitespace.
+ * @property {RegExp|string} [pattern] A regular expression the value must
+ *      match. Numbers are converted to strings before matching.
+ * @property {number} [min] The smallest number the value may be.
+ * @property {number} [max] The largest number the value may be.
+ * @property {Array<string|number|boolean|null>} [enum] The values the value
+ *      may be.
+ * @property {number} [minItems] The fewest items an array may contain.
+ * @property {number} [maxItems] The most items an array may contain.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Formats a value for use in an error message.
+ * @param {*} value The value to format.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value) {
+
+    if (typeof value === "number" || typeof value === "undefined") {
+        return String(value);
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Determines if a value is empty.
+ * @param {*} value The value to check.
+ * @returns {boolean} True if the value is empty.
+ */
+function isEmpty(value) {
+    return typeof value === "undefined" || value === null || Number.isNaN(value) ||
+        (typeof value === "string" && !value.trim()) ||
+        (Array.isArray(value) && !value.length);
+}
+
+/**
+ * Determines if a value is a number that can be compared.
+ * @param {*} value The value to check.
+ * @returns {boolean} True if the value is a number other than `NaN`.
+ */
+function isComparable(value) {
+    return typeof value === "number" && !Number.isNaN(value);
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * The names of all constraints, in the order they are checked.
+ * @type {Array<string>}
+ */
+export const constraintNames = ["nonEmpty", "pattern", "min", "max", "enum", "minItems", "maxItems"];
+
+/**
+ * Finds the first constraint that a value doesn't meet.
+ * @param {*} value The value to check.
+ * @param {Constraints} constraints The constraints to check.
+ * @param {*} [raw] The value as it was read from the page, used to describe
+ *      the problem. Defaults to the value itself.
+ * @returns {string|undefined} A description of the problem or `undefined`
+ *      if the value meets every constraint.
+ */
+export function findViolation(value, constraints, raw = value) {
+    const { nonEmpty, pattern, min, max, minItems, maxItems } = constraints;
+    const allowed = constraints.enum;
+    const text = formatValue(raw);
+
+    if (nonEmpty && isEmpty(value)) {
+        return `${text} must not be empty.`;
+    }
+
+    if (typeof pattern !== "undefined") {
+        const regex = new RegExp(pattern);
+
+        if (!(typeof value === "string" || isComparable(value)) || !regex.test(String(value))) {
+            return `${text} must match ${regex}.`;
+        }
+    }
+
+    if (typeof min !== "undefined" && !(isComparable(value) && value >= min)) {
+        return `${text} must be at least ${min}.`;
+    }
+
+    if (typeof max !== "undefined" && !(isComparable(value) && value <= max)) {
+        return `${text} must be at most ${max}.`;
+    }
+
+    if (allowed && !allowed.includes(value)) {
+        return `${text} must be one of ${allowed.map(formatValue).join(", ")}.`;
+    }
+
+    if (typeof minItems === "undefined" && typeof maxItems === "undefined") {
+        return undefined;
+    }
+
+    if (!Array.isArray(value)) {
+        return `${text} must be an array.`;
+    }
+
+    if (value.length < minItems) {
+        return `Found ${value.length} items but expected at least ${minItems}.`;
+    }
+
+    if (value.length > maxItems) {
+        return `Found ${value.length} items but expected at most ${maxItems}.`;
+    }
+
+    return undefined;
+}
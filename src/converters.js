@@ -3,11 +3,205 @@
  * @author Nicholas C. Zakas
  */
 
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} NumberFormatOptions
+ * @property {string} [locale] A locale, such as `"de-DE"`, whose decimal and
+ *      grouping separators are used.
+ * @property {string} [decimal="."] The decimal separator.
+ * @property {string} [grouping] The characters that separate groups of
+ *      digits. Defaults to `","` (or `"."` when the decimal separator is
+ *      `","`) plus spaces.
+ */
+
 //-----------------------------------------------------------------------------
 // Helpers
 //-----------------------------------------------------------------------------
 
 const booleanTruePatterns = /^(?:yes|true|1|y|t)$/iu;
+const numberSuffixes = { k: 3, m: 6, b: 9, bn: 9 };
+const numberSuffixPattern = /^(bn|[kmb])(?![a-z])/iu;
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}(?:$|T)/u;
+const isoDateOnlyPattern = /^\d{4}-\d{2}-\d{2}$/u;
+const timeZonePattern = /\d:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(?:z|[+-]\d{2}:?\d{2})|\b(?:gmt|utc)\b/iu;
+const dateTokens = /\[[^\]]*\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|hh|h|mm|ss|A|a/gu;
+const monthNames = [
+    "january", "february", "march", "april", "may", "june",
+    "july", "august", "september", "october", "november", "december"
+];
+
+/**
+ * The regular expression source for each token in a date format.
+ * @type {Object<string,string>}
+ */
+const dateTokenPatterns = {
+    YYYY: "(\\d{4})",
+    YY: "(\\d{2})",
+    MMMM: "([a-z]+)",
+    MMM: "([a-z]{3,}\\.?)",
+    MM: "(\\d{2})",
+    M: "(\\d{1,2})",
+    DD: "(\\d{2})",
+    D: "(\\d{1,2})",
+    HH: "(\\d{2})",
+    H: "(\\d{1,2})",
+    hh: "(\\d{2})",
+    h: "(\\d{1,2})",
+    mm: "(\\d{2})",
+    ss: "(\\d{2})",
+    A: "(am|pm)",
+    a: "(am|pm)"
+};
+
+/**
+ * Escapes text for use in a regular expression.
+ * @param {string} text The text to escape.
+ * @returns {string} The regular expression source.
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/-]/gu, "\\$&");
+}
+
+/**
+ * Determines the decimal and grouping separators for number parsing.
+ * @param {NumberFormatOptions} options The options from the schema.
+ * @returns {{decimal:string,grouping:string}} The separators.
+ */
+function getNumberSeparators({ locale, decimal, grouping }) {
+
+    if (locale) {
+        const parts = new Intl.NumberFormat(locale).formatToParts(1000.5);
+        const findPart = type => (parts.find(part => part.type === type) || {}).value;
+
+        decimal = decimal || findPart("decimal");
+        grouping = grouping || findPart("group");
+    }
+
+    decimal = decimal || ".";
+
+    // spaces of any width group digits in many locales
+    return {
+        decimal,
+        grouping: `${grouping || (decimal === "," ? "." : ",")} \u00a0\u202f`
+    };
+}
+
+/**
+ * Escapes the literal text in a date format for use in a regular expression.
+ * Whitespace matches any amount of whitespace.
+ * @param {string} text The literal text.
+ * @returns {string} The regular expression source.
+ */
+function escapeLiteral(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/gu, "\\$&").replace(/\s+/gu, "\\s+");
+}
+
+/**
+ * Parses a date using a format such as `DD/MM/YYYY` or `MMMM D, YYYY`.
+ * Text in square brackets, such as `[at]`, is matched literally. All dates
+ * are treated as UTC.
+ * @param {string} value The text to parse.
+ * @param {string} format The format of the text.
+ * @returns {Date|undefined} The date or `undefined` if the text doesn't
+ *      match the format or isn't a real date.
+ */
+function parseDateFormat(value, format) {
+    const tokens = [];
+    let source = "";
+    let lastIndex = 0;
+
+    for (const match of format.matchAll(dateTokens)) {
+        const [token] = match;
+
+        source += escapeLiteral(format.slice(lastIndex, match.index));
+        lastIndex = match.index + token.length;
+
+        if (token.startsWith("[")) {
+            source += escapeLiteral(token.slice(1, -1));
+            continue;
+        }
+
+        source += dateTokenPatterns[token];
+        tokens.push(token);
+    }
+
+    source += escapeLiteral(format.slice(lastIndex));
+
+    const match = new RegExp(`^${source}$`, "iu").exec(value);
+
+    if (!match) {
+        return undefined;
+    }
+
+    const parts = { year: 1970, month: 0, day: 1, hours: 0, minutes: 0, seconds: 0 };
+    let meridiem;
+
+    tokens.forEach((token, i) => {
+        const text = match[i + 1];
+        const number = Number(text);
+
+        switch (token) {
+            case "YYYY":
+                parts.year = number;
+                break;
+
+            case "YY":
+                parts.year = number + (number < 50 ? 2000 : 1900);
+                break;
+
+            case "MMMM":
+            case "MMM":
+                parts.month = monthNames.findIndex(name => name.startsWith(text.toLowerCase().replace(".", "").slice(0, 3)));
+                break;
+
+            case "MM":
+            case "M":
+                parts.month = number - 1;
+                break;
+
+            case "DD":
+            case "D":
+                parts.day = number;
+                break;
+
+            case "HH":
+            case "H":
+            case "hh":
+            case "h":
+                parts.hours = number;
+                break;
+
+            case "mm":
+                parts.minutes = number;
+                break;
+
+            case "ss":
+                parts.seconds = number;
+                break;
+
+            default:
+                meridiem = text.toLowerCase();
+        }
+    });
+
+    if (meridiem && parts.hours <= 12) {
+        parts.hours = parts.hours % 12 + (meridiem === "pm" ? 12 : 0);
+    }
+
+    const date = new Date(Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds));
+
+    // Date.UTC() rolls over out of range values, such as February 30
+    if (date.getUTCFullYear() !== parts.year || date.getUTCMonth() !== parts.month ||
+        date.getUTCDate() !== parts.day || date.getUTCHours() !== parts.hours
+    ) {
+        return undefined;
+    }
+
+    return date;
+}
 
 //-----------------------------------------------------------------------------
 // Functions
@@ -17,10 +211,137 @@ export function identity(value) {
     return value;
 }
 
-export function stringToNumber(value) {
-    return Number(value.replace(/[^\d.-]/g, ""));
+/**
+ * Converts text into a number. The text must contain exactly one number,
+ * which may be surrounded by other text such as a currency symbol. Negative
+ * numbers may use parentheses or a minus sign directly before the number or
+ * its currency symbol, `%` divides the number by
+ * 100, and a `k`, `m`, `b`, or `bn` suffix multiplies it by a thousand,
+ * million, or billion.
+ * @param {string} value The text to convert.
+ * @param {NumberFormatOptions} [options] The separators the text uses.
+ * @returns {number} The number or `NaN` if the text can't be parsed.
+ */
+export function stringToNumber(value, options = {}) {
+    const { decimal, grouping } = getNumberSeparators(options);
+    let text = value.trim();
+    let negative = false;
+
+    if (/^\(.*\)$/u.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+
+    const digits = new RegExp(`\\d(?:[\\d${escapeRegExp(grouping)}]*\\d)?(?:${escapeRegExp(decimal)}\\d+)?|${escapeRegExp(decimal)}\\d+`, "gu");
+    const matches = Array.from(text.matchAll(digits));
+
+    if (matches.length !== 1) {
+        return NaN;
+    }
+
+    const [match] = matches;
+    const prefix = text.slice(0, match.index);
+    const suffix = text.slice(match.index + match[0].length);
+    const [integer, fraction = ""] = match[0].split(decimal);
+    const groups = integer.split(new RegExp(`[${escapeRegExp(grouping)}]`, "u"));
+
+    // grouped digits must be in groups of three so a misplaced decimal fails
+    if (groups.length > 1 && !groups.slice(1).every(group => group.length === 3)) {
+        return NaN;
+    }
+
+    const suffixMatch = numberSuffixPattern.exec(suffix);
+    let exponent = suffixMatch ? numberSuffixes[suffixMatch[1].toLowerCase()] : 0;
+
+    if (suffix.trim().startsWith("%")) {
+        exponent -= 2;
+    }
+
+    // a minus sign inside other text, such as "SKU-123", isn't a sign
+    if (/(?:^|[^\p{L}\p{N}])[-\u2212]\p{Sc}?$/u.test(prefix)) {
+        negative = !negative;
+    }
+
+    const number = Number(`${groups.join("") || "0"}.${fraction || "0"}e${exponent}`);
+    return negative ? -number : number;
 }
 
 export function stringToBoolean(value) {
     return booleanTruePatterns.test(value);
 }
+
+/**
+ * Converts text into an ISO 8601 date string. The formats are tried in
+ * order. ISO 8601 text, such as from a `datetime` attribute, is always
+ * understood, and any text that `Date.parse()` understands is accepted
+ * when there are no formats. Text without a time zone is treated as UTC.
+ * @param {string} value The text to convert.
+ * @param {Array<string>} [formats] The formats the text may be in.
+ * @returns {string|undefined} The ISO 8601 date string or `undefined` if the
+ *      text can't be parsed.
+ */
+export function stringToDate(value, formats = []) {
+    const text = value.trim();
+
+    for (const format of formats) {
+        const date = parseDateFormat(text, format);
+
+        if (date) {
+            return date.toISOString();
+        }
+    }
+
+    if (formats.length && !isoDatePattern.test(text)) {
+        return undefined;
+    }
+
+    const time = Date.parse(text);
+
+    if (Number.isNaN(time)) {
+        return undefined;
+    }
+
+    const date = new Date(time);
+
+    // Date.parse() reads text without a time zone in local time, except ISO 8601 dates
+    if (timeZonePattern.test(text) || isoDateOnlyPattern.test(text)) {
+        return date.toISOString();
+    }
+
+    return new Date(Date.UTC(
+        date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()
+    )).toISOString();
+}
+
+/**
+ * Extracts values from text using a regular expression. When `groups` is
+ * specified, the result is an object whose keys are the group names and
+ * whose values are the capture groups in order. Otherwise, the result is an
+ * object of named capture groups, the first capture group, or the whole
+ * match, in that order of preference.
+ * @param {string} value The text to search.
+ * @param {RegExp|string} pattern The regular expression.
+ * @param {Array<string>} [groups] The names for each capture group.
+ * @returns {string|Object<string,string>|undefined} The matched values or
+ *      `undefined` if the text doesn't match.
+ */
+export function matchString(value, pattern, groups) {
+
+    // a copy so the lastIndex of global patterns doesn't carry over
+    const match = new RegExp(pattern).exec(value);
+
+    if (!match) {
+        return undefined;
+    }
+
+    if (groups) {
+        return Object.fromEntries(groups.map((name, i) => [name, match[i + 1]]));
+    }
+
+    if (match.groups) {
+        return { ...match.groups };
+    }
+
+    return match.length > 1 ? match[1] : match[0];
+}
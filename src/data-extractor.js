@@ -7,14 +7,182 @@
 // Imports
 //-----------------------------------------------------------------------------
 
-import { schemaTypes } from "./schema-types.js";
+import {
+    createSchemaTypes,
+    registerSchemaType,
+    createExtractionContext,
+    createExtractionError,
+    collectError,
+    extractValue,
+    prepareProperties
+} from "./schema-types.js";
+import { canExtractInPage, extractInPage, convertPageResult } from "./in-page.js";
+import { validateSchema } from "./schema-validator.js";
+import { SchemaError, ExtractionError } from "./errors.js";
+import { waitForPage } from "./waits.js";
+import { createHtmlPage, htmlDriver } from "./html-page.js";
+import { puppeteerDriver, playwrightDriver, detectDriver, assertValidDriver } from "./drivers.js";
+import { toJsonSchema } from "./json-schema.js";
+import { createTraceState, finishTrace } from "./trace.js";
+import { extractBatch } from "./batch.js";
+import {
+    registerConverter,
+    registerExtractor,
+    createConverters,
+    createExtractors,
+    resolveSchema
+} from "./registry.js";
+import { promises as fs } from "fs";
+
+//-----------------------------------------------------------------------------
+// Re-exports
+//-----------------------------------------------------------------------------
+
+export { validateSchema, toJsonSchema, SchemaError, ExtractionError, puppeteerDriver, playwrightDriver };
 
 //-----------------------------------------------------------------------------
 // Types
 //-----------------------------------------------------------------------------
 
 /**
- * @typedef {import("puppeteer").Page} Page
+ * @typedef {import("./drivers.js").Page} Page
+ * @typedef {import("./drivers.js").Driver} Driver
+ * @typedef {import("./waits.js").PageWaitOptions} PageWaitOptions
+ *
+ * @typedef {Object} DataExtractorOptions
+ * @property {Object<string,Function>} [types] Custom schema types to use
+ *      with this instance in addition to the globally registered ones.
+ * @property {Object<string,Function>} [converters] Custom converters that
+ *      `convert` properties can refer to by name, in addition to the
+ *      built-in and globally registered ones.
+ * @property {Object<string,Function>} [extractors] Custom extractors that
+ *      `extract` properties can refer to by name, in addition to the
+ *      globally registered ones.
+ *
+ * @typedef {Object} ExtractOptions
+ * @property {boolean} [inPage=false] When `true`, extracts every definition
+ *      that can be serialized using a single evaluation inside of the page
+ *      and runs only `convert` functions in Node.js. Definitions that can't
+ *      be serialized, such as `custom`, are extracted one handle at a time.
+ * @property {boolean} [collectErrors=false] When `true`, extraction continues
+ *      after errors, the failed values are set to `undefined`, and the
+ *      result is an `ExtractionResult` instead of the data.
+ * @property {boolean} [reportSelectors=false] When `true`, the result is an
+ *      `ExtractionResult` that reports which of the fallback selectors
+ *      matched for each value.
+ * @property {PageWaitOptions} [wait] Conditions to wait for before
+ *      extracting anything from the page.
+ * @property {Driver} [driver] The driver used to query the page. By default,
+ *      the driver for Puppeteer or Playwright is chosen based on the page.
+ * @property {boolean|TraceOptions} [trace=false] When `true` or an object,
+ *      the result is an `ExtractionResult` containing a trace of how each
+ *      value was extracted. Tracing always uses the default mode, even
+ *      when `inPage` is `true`.
+ *
+ * @typedef {import("./schema-types.js").SelectorMatch} SelectorMatch
+ * @typedef {import("./trace.js").TraceOptions} TraceOptions
+ * @typedef {import("./trace.js").ExtractionTrace} ExtractionTrace
+ * @typedef {import("./batch.js").BatchOptions} BatchOptions
+ * @typedef {import("./batch.js").BatchResult} BatchResult
+ *
+ * @typedef {ExtractOptions & HtmlPageOptions} ExtractHtmlOptions
+ * @typedef {import("./html-page.js").HtmlPageOptions} HtmlPageOptions
+ */
+
+/**
+ * @template T
+ * @typedef {Object} ExtractionResult
+ * @property {T} data The extracted data.
+ * @property {Array<ExtractionError>} errors The errors that occurred.
+ * @property {Array<SelectorMatch>} [selectors] The fallback selectors that
+ *      matched when `reportSelectors` is `true`.
+ * @property {ExtractionTrace} [trace] How each value was extracted when
+ *      `trace` is enabled.
+ */
+
+/*
+ * The types below infer the shape of the extracted data from a schema
+ * declared `as const` in TypeScript. Anything that can't be inferred, such
+ * as the result of a named converter, is `unknown`.
+ */
+
+/**
+ * @template T
+ * @typedef {T extends PromiseLike<infer U> ? U : T} Resolved
+ */
+
+/**
+ * @template S
+ * @typedef {0 extends (1 & S) ? any : { -readonly [K in keyof S]: ExtractedValue<S[K]> }} ExtractedData
+ *      The data extracted for an object of definitions.
+ */
+
+/**
+ * @template D
+ * @typedef {D extends { optional: true } ? DefinitionValue<D> | undefined : DefinitionValue<D>} ExtractedValue
+ *      The value extracted for a definition.
+ */
+
+/**
+ * @template D
+ * @typedef {D extends { convert: (...args: any[]) => infer R } ? Resolved<R>
+ *      : D extends { convert: any } ? unknown
+ *      : D extends { type: "string" } ? string
+ *      : D extends { type: "url", follow: infer F } ? ExtractedData<F>
+ *      : D extends { type: "url" } ? string
+ *      : D extends { type: "number" } ? number
+ *      : D extends { type: "boolean" } ? boolean
+ *      : D extends { type: "date" } ? string
+ *      : D extends { type: "match", groups: ReadonlyArray<infer G> } ? { [K in G & string]: string | undefined }
+ *      : D extends { type: "match" } ? string | Record<string, string>
+ *      : D extends { type: "array", items: infer I } ? Array<ExtractedData<I>>
+ *      : D extends { type: "object", properties: infer P } ? ExtractedData<P>
+ *      : D extends { type: "table" } ? TableValue<D>
+ *      : D extends { type: "switch" } ? SwitchValue<D>
+ *      : D extends { type: "custom", extract: (...args: any[]) => infer R } ? Resolved<R>
+ *      : D extends { type: "computed", compute: (...args: any[]) => infer R } ? Resolved<R>
+ *      : unknown} DefinitionValue
+ *      The value extracted for a definition, ignoring `optional`.
+ */
+
+/**
+ * @template D
+ * @typedef {(D extends { cases: ReadonlyArray<infer C> } ? C extends { then: infer T } ? ExtractedValue<T> : never : never)
+ *      | (D extends { default: infer T } ? ExtractedValue<T> : never)} SwitchValue
+ *      The value extracted for a switch from any of its cases.
+ */
+
+/**
+ * @template C
+ * @typedef {(C extends ReadonlyArray<infer E> ? ExtractedValue<E>
+ *      : C extends object ? ExtractedValue<C[keyof C]>
+ *      : never) | string | null} CellValue
+ *      The value of a table cell. Cells without definitions are strings, and
+ *      merged cells may be `null`.
+ */
+
+/**
+ * @template D
+ * @typedef {{
+ *      head: Array<Array<CellValue<D extends { head: infer H } ? H : never>>>,
+ *      body: Array<TableRow<D, D extends { body: infer B } ? B : never>>,
+ *      foot: Array<TableRow<D, D extends { foot: infer F } ? F : never>>
+ * }} TableValue
+ *      The value extracted for a table.
+ */
+
+/**
+ * @template D, C
+ * @typedef {D extends { keys: any } ? Record<string, CellValue<C>> : Array<CellValue<C>>} TableRow
+ *      A row in the body or foot of a table.
+ */
+
+/**
+ * @template S, O
+ * @typedef {O extends { collectErrors: true } | { reportSelectors: true } | { trace: true | object }
+ *      ? ExtractionResult<ExtractedData<S>>
+ *      : ExtractedData<S>} ExtractFromResult
+ *      The result of `extractFrom()` for a schema and options.
  */
 
 //-----------------------------------------------------------------------------
@@ -22,38 +190,280 @@ import { schemaTypes } from "./schema-types.js";
 //-----------------------------------------------------------------------------
 
 /**
- * A class to extract data from a Puppeteer page.
+ * A class to extract data from a Puppeteer or Playwright page.
+ * @template S The type of the schema.
  */
 export class DataExtractor {
 
     /**
      * Creates a new instance.
-     * @param {*} schema The schema describing the data to extract.
+     * @param {S} schema The schema describing the data to extract.
+     * @param {DataExtractorOptions} [options] Options for the instance.
+     * @throws {TypeError} If the schema is missing or a custom schema
+     *      type, converter, or extractor is invalid.
+     * @throws {SchemaError} If the schema is invalid.
      */
-    constructor(schema) {
+    constructor(schema, { types = {}, converters = {}, extractors = {} } = {}) {
 
         if (typeof schema === "undefined") {
             throw new TypeError("DataExtractor requires a schema.");
         }
 
+        /**
+         * The built-in, registered, and custom schema types available to
+         * the schema.
+         * @type {Object<string,Function>}
+         */
+        this.types = createSchemaTypes(types);
+
+        /**
+         * The built-in, registered, and custom converters that the schema
+         * can refer to by name.
+         * @type {Object<string,Function>}
+         */
+        this.converters = createConverters(converters);
+
+        /**
+         * The registered and custom extractors that the schema can refer
+         * to by name.
+         * @type {Object<string,Function>}
+         */
+        this.extractors = createExtractors(extractors);
+
+        const problems = validateSchema(schema, { types, converters, extractors });
+
+        if (problems.length) {
+            throw new SchemaError(problems);
+        }
+
+        // names are replaced with functions so extraction only sees functions
+        this.schema = resolveSchema(schema, {
+            converters: this.converters,
+            extractors: this.extractors
+        });
+    }
+
+    /**
+     * Creates a new instance using a schema stored in a JSON file.
+     * @param {string} filePath The path to the JSON file.
+     * @param {DataExtractorOptions} [options] Options for the instance.
+     * @returns {Promise<DataExtractor>} The new instance.
+     * @throws {SyntaxError} If the file doesn't contain valid JSON.
+     * @throws {SchemaError} If the schema is invalid.
+     */
+    static async fromJsonFile(filePath, options) {
+        const text = await fs.readFile(filePath, "utf8");
+        let schema;
+
+        try {
+            schema = JSON.parse(text);
+        } catch (ex) {
+            throw new SyntaxError(`Schema file "${filePath}" isn't valid JSON: ${ex.message}`);
+        }
+
+        return new DataExtractor(schema, options);
+    }
+
+    /**
+     * Registers a custom schema type that can be used in the schemas of all
+     * `DataExtractor` instances created afterwards. The type is called with
+     * the same `(root, def)` arguments as the built-in types and `this` is
+     * the object containing all schema types.
+     * @param {string} name The name to use as the `type` in schemas.
+     * @param {Function} type The function that extracts the data.
+     * @returns {void}
+     * @throws {TypeError} If the name is already in use or the type isn't
+     *      a function.
+     */
+    static registerType(name, type) {
+        registerSchemaType(name, type);
+    }
 
-        this.schema = schema;
+    /**
+     * Registers a converter that the `convert` property of definitions in
+     * all `DataExtractor` instances created afterwards can refer to by name.
+     * The converter is called with the value followed by the `args` of the
+     * step that names it.
+     * @param {string} name The name to use in `convert` properties.
+     * @param {Function} converter The function that converts a value.
+     * @returns {void}
+     * @throws {TypeError} If the name is already in use or the converter
+     *      isn't a function.
+     */
+    static registerConverter(name, converter) {
+        registerConverter(name, converter);
+    }
+
+    /**
+     * Registers an extractor that the `extract` property of `"custom"`
+     * definitions in all `DataExtractor` instances created afterwards can
+     * refer to by name. Like any `extract` function, it runs inside of
+     * the page.
+     * @param {string} name The name to use in `extract` properties.
+     * @param {Function} extractor The function that extracts a value from
+     *      an element.
+     * @returns {void}
+     * @throws {TypeError} If the name is already in use or the extractor
+     *      isn't a function.
+     */
+    static registerExtractor(name, extractor) {
+        registerExtractor(name, extractor);
     }
 
     /**
      * Extracts data based on the `schema` from the given page.
-     * @param {Page} page A Puppeteer page. 
-     * @returns {Object} An object containing the extracted data.
+     * @param {Page} page A Puppeteer or Playwright page, or any page that
+     *      the `driver` option can query.
+     * @template {ExtractOptions} O
+     * @param {O} [options] Options for the extraction.
+     * @returns {Promise<ExtractFromResult<S,O>>} An object containing the
+     *      extracted data or, when `collectErrors`, `reportSelectors`, or
+     *      `trace` is enabled, an object containing the data, errors,
+     *      selector report, and trace.
+     * @throws {TypeError} If the `driver` is missing a required method.
+     * @throws {ExtractionError} If the data can't be extracted and
+     *      `collectErrors` is `false`. The `data` property of the error
+     *      contains the top-level values extracted before the failure and
+     *      the `trace` property contains the trace, if any.
      */
-    async extractFrom(page) {
-        const result = {};
+    async extractFrom(page, {
+        inPage = false,
+        collectErrors = false,
+        reportSelectors = false,
+        wait,
+        driver = detectDriver(page),
+        trace = false
+    } = {}) {
+        assertValidDriver(driver);
+
+        const traceState = trace ? createTraceState(driver, page, trace) : null;
+        const context = createExtractionContext(this.types, page, {
+            collectErrors,
+            reportSelectors,
+            driver,
+            trace: traceState
+        });
+        const { result, entries } = prepareProperties(this.schema);
+        let pageResults = {};
+
+        context.extraction.parent = result;
+
+        if (traceState && traceState.outline && typeof driver.screenshot !== "function") {
+            throw createExtractionError(context, `Taking a screenshot isn't supported by the "${driver.name}" driver.`, {
+                code: "NOT_SUPPORTED"
+            });
+        }
+
+        try {
+            if (wait) {
+                try {
+                    await waitForPage(driver, page, wait);
+                } catch (ex) {
+                    if (ex.name !== "TimeoutError") {
+                        throw ex;
+                    }
+
+                    collectError(context, createExtractionError(context, ex.message, { code: "TIMEOUT", cause: ex }));
+                }
+            }
+
+            // the values in a trace are only known when extracting one handle at a time
+            if (inPage && !traceState) {
+                const pageSchema = {};
+
+                for (const [key, def] of Object.entries(this.schema)) {
+                    if (canExtractInPage(def)) {
+                        pageSchema[key] = def;
+                    }
+                }
 
-        for (const [key, def] of Object.entries(this.schema)) {
-            if (def.type in schemaTypes) {
-                result[key] = await schemaTypes[def.type](page, def);
+                pageResults = await extractInPage(context, pageSchema);
             }
+
+            for (const [key, def] of entries) {
+                if (key in pageResults) {
+                    result[key] = await convertPageResult(context, def, pageResults[key], key);
+                } else {
+                    result[key] = await extractValue(context, page, def, key);
+                }
+            }
+        } catch (ex) {
+            if (ex instanceof ExtractionError) {
+                ex.data = result;
+
+                if (traceState) {
+
+                    // a failed screenshot shouldn't hide why the extraction failed
+                    try {
+                        ex.trace = await finishTrace(traceState, driver);
+                    } catch (error) {
+                        ex.trace = traceState.trace;
+                    }
+                }
+            }
+
+            throw ex;
         }
 
-        return result;
+        if (!reportSelectors && !collectErrors && !traceState) {
+            return result;
+        }
+
+        const extractionResult = {
+            data: result,
+            errors: context.extraction.errors || []
+        };
+
+        if (reportSelectors) {
+            extractionResult.selectors = context.extraction.selectorMatches;
+        }
+
+        if (traceState) {
+            extractionResult.trace = await finishTrace(traceState, driver);
+        }
+
+        return extractionResult;
+    }
+
+    /**
+     * Extracts data based on the `schema` from a string of HTML without
+     * using a browser. Requires the optional `jsdom` package. Scripts in
+     * the HTML don't run, and extracting anything that requires a browser,
+     * such as following links, results in an `ExtractionError` with a
+     * `code` of `"NOT_SUPPORTED"`.
+     * @param {string} html The HTML to extract from.
+     * @template {ExtractHtmlOptions} O
+     * @param {O} [options] Options for the extraction.
+     * @returns {Promise<ExtractFromResult<S,O>>} The same result as
+     *      `extractFrom()`.
+     * @throws {TypeError} If the HTML isn't a string.
+     * @throws {ExtractionError} If the data can't be extracted and
+     *      `collectErrors` is `false`.
+     */
+    async extractFromHtml(html, { url, ...options } = {}) {
+        const page = await createHtmlPage(html, { url });
+
+        try {
+            return await this.extractFrom(page, { ...options, driver: htmlDriver });
+        } finally {
+            await page.close();
+        }
+    }
+
+    /**
+     * Extracts data based on the `schema` from many URLs or local files,
+     * loading each one in a new page and closing the page afterwards. No
+     * more than `concurrency` pages are open at once, and a URL that fails
+     * is tried again up to `retries` times.
+     * @param {Iterable<string>} targets The URLs or file paths to extract from.
+     * @param {BatchOptions & ExtractOptions} options Options for the batch
+     *      and for each call to `extractFrom()`.
+     * @returns {AsyncGenerator<BatchResult>} An async iterator that produces
+     *      the result or error for each URL, along with the progress of the
+     *      batch, in the order they finish.
+     * @throws {TypeError} If the targets or options are invalid.
+     */
+    extractAll(targets, options) {
+        return extractBatch(this, targets, options);
     }
 }
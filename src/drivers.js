@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Drivers for the browser automation libraries used to query pages
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { createTimeoutError } from "./waits.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Page A page from a browser automation library, such as a
+ *      Puppeteer or Playwright `Page`.
+ * @typedef {Object} Frame A frame inside of a page.
+ * @typedef {Object} JSHandle A handle to a value inside of a page.
+ * @typedef {JSHandle} ElementHandle A handle to an element or shadow root
+ *      inside of a page.
+ *
+ * @typedef {Object} FrameInfo
+ * @property {Frame} frame The frame.
+ * @property {string} name The name of the frame.
+ * @property {string} url The URL of the frame.
+ *
+ * @typedef {Object} NetworkIdleOptions
+ * @property {number} idleTime The milliseconds without requests to wait for.
+ * @property {number} timeout The most milliseconds to wait.
+ *
+ * @typedef {Object} Driver
+ * @property {string} name The name of the driver, such as `"puppeteer"`.
+ * @property {(root:Page|Frame|ElementHandle, selector:string) => Promise<ElementHandle|null>} querySelector
+ *      Finds the first element matching a CSS selector.
+ * @property {(root:Page|Frame|ElementHandle, selector:string) => Promise<Array<ElementHandle>>} querySelectorAll
+ *      Finds all elements matching a CSS selector.
+ * @property {(target:Page|Frame|JSHandle, pageFunction:Function|string, ...args:any) => Promise<*>} evaluate
+ *      Runs a function inside of the page and returns a copy of its result.
+ *      When the target is a handle, its value is the first argument.
+ * @property {(target:Page|Frame|JSHandle, pageFunction:Function|string, ...args:any) => Promise<JSHandle>} evaluateHandle
+ *      Runs a function inside of the page and returns a handle to its result.
+ *      When the target is a handle, its value is the first argument.
+ * @property {(target:Page|Frame|JSHandle) => boolean} isHandle Determines
+ *      if a target is a handle instead of a page or frame.
+ * @property {(arrayHandle:JSHandle) => Promise<Array<ElementHandle>>} getElements
+ *      Gets the elements in a handle to an array and disposes of the handle.
+ * @property {(handle:JSHandle) => Promise<void>} dispose Releases a handle.
+ * @property {(page:Page|Frame) => string} url Gets the URL of a page.
+ * @property {(page:Page, options:NetworkIdleOptions) => Promise<void>} waitForNetworkIdle
+ *      Waits until the page hasn't made network requests for a while.
+ * @property {(handle:ElementHandle) => Promise<Frame|null>} [contentFrame]
+ *      Gets the frame for an `<iframe>` element.
+ * @property {(page:Page) => Array<FrameInfo>} [frames] Gets all frames in
+ *      a page.
+ * @property {(page:Page, url:string) => Promise<Page>} [openPage] Loads a
+ *      URL in a new page that shares the browser context, such as cookies,
+ *      with a page.
+ * @property {(page:Page, url:string) => Promise<void>} [goto] Loads a URL
+ *      in a page.
+ * @property {(page:Page, handle:ElementHandle) => Promise<void>} [clickAndWait]
+ *      Clicks an element and waits for the page to navigate.
+ * @property {(page:Page) => Promise<void>} [closePage] Closes a page.
+ * @property {(page:Page) => Promise<Uint8Array>} [screenshot] Takes a screenshot
+ *      of the whole page.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const requiredMethods = [
+    "querySelector",
+    "querySelectorAll",
+    "evaluate",
+    "evaluateHandle",
+    "isHandle",
+    "getElements",
+    "dispose",
+    "url",
+    "waitForNetworkIdle"
+];
+
+/**
+ * Waits until no network requests have been made for a period of time by
+ * listening to the request events of a page.
+ * @param {Page} page The page to watch.
+ * @param {NetworkIdleOptions} options How long to wait.
+ * @returns {Promise<void>}
+ * @throws {Error} If the network isn't idle before the timeout.
+ */
+function waitForRequestEvents(page, { idleTime, timeout }) {
+
+    return new Promise((resolve, reject) => {
+        let pending = 0;
+        let idleTimer;
+
+        const timeoutTimer = setTimeout(() => {
+            finish();
+            reject(createTimeoutError(`Timed out after ${timeout}ms waiting for the network to be idle.`));
+        }, timeout);
+
+        function finish() {
+            clearTimeout(idleTimer);
+            clearTimeout(timeoutTimer);
+            page.off("request", onRequest);
+            page.off("requestfinished", onRequestDone);
+            page.off("requestfailed", onRequestDone);
+        }
+
+        function waitForIdle() {
+            clearTimeout(idleTimer);
+
+            if (pending === 0) {
+                idleTimer = setTimeout(() => {
+                    finish();
+                    resolve();
+                }, idleTime);
+            }
+        }
+
+        function onRequest() {
+            pending++;
+            clearTimeout(idleTimer);
+        }
+
+        function onRequestDone() {
+            pending = Math.max(pending - 1, 0);
+            waitForIdle();
+        }
+
+        page.on("request", onRequest);
+        page.on("requestfinished", onRequestDone);
+        page.on("requestfailed", onRequestDone);
+        waitForIdle();
+    });
+}
+
+/**
+ * Playwright passes a single argument to page functions, so functions are
+ * wrapped in one that spreads an array of arguments. The wrappers are
+ * cached by the source of the function they wrap.
+ * @type {Map<string,Function>}
+ */
+const playwrightWrappers = new Map();
+
+/**
+ * Wraps a function so it can be called with any number of arguments by
+ * Playwright.
+ * @param {Function} pageFunction The function to wrap.
+ * @param {boolean} isHandle True if the function is run on a handle and
+ *      receives its value as the first argument.
+ * @returns {Function} A function that receives the arguments as an array.
+ */
+function wrapForPlaywright(pageFunction, isHandle) {
+    const source = getFunctionSource(pageFunction);
+    const key = `${isHandle}:${source}`;
+
+    if (!playwrightWrappers.has(key)) {
+        playwrightWrappers.set(key, isHandle
+            ? new Function("value", "args", `return (${source})(value, ...args);`)
+            : new Function("args", `return (${source})(...args);`));
+    }
+
+    return playwrightWrappers.get(key);
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Gets the source of a function as an expression that can be evaluated
+ * inside of a page. Methods, such as `extract(element) {}`, aren't valid
+ * expressions, so they're turned into function expressions.
+ * @param {Function} pageFunction The function.
+ * @returns {string} The source of the function.
+ */
+export function getFunctionSource(pageFunction) {
+    const source = pageFunction.toString();
+
+    try {
+        new Function(`(${source})`);
+        return source;
+    } catch (ex) {
+        return source.startsWith("async ")
+            ? `async function ${source.slice(6)}`
+            : `function ${source}`;
+    }
+}
+
+/**
+ * The driver for Puppeteer pages.
+ * @type {Driver}
+ */
+export const puppeteerDriver = {
+    name: "puppeteer",
+
+    querySelector(root, selector) {
+        return root.$(selector);
+    },
+
+    querySelectorAll(root, selector) {
+        return root.$$(selector);
+    },
+
+    evaluate(target, pageFunction, ...args) {
+        return target.evaluate(pageFunction, ...args);
+    },
+
+    evaluateHandle(target, pageFunction, ...args) {
+        return target.evaluateHandle(pageFunction, ...args);
+    },
+
+    isHandle(target) {
+        return typeof target.asElement === "function";
+    },
+
+    async getElements(arrayHandle) {
+        const properties = await arrayHandle.getProperties();
+        const result = [];
+
+        for (const property of properties.values()) {
+            const element = property.asElement();
+
+            if (element) {
+                result.push(element);
+            } else {
+                await property.dispose();
+            }
+        }
+
+        await arrayHandle.dispose();
+        return result;
+    },
+
+    dispose(handle) {
+        return handle.dispose();
+    },
+
+    url(page) {
+        return page.url();
+    },
+
+    waitForNetworkIdle(page, options) {
+
+        // older versions of Puppeteer don't have waitForNetworkIdle()
+        if (typeof page.waitForNetworkIdle === "function") {
+            return page.waitForNetworkIdle(options);
+        }
+
+        return waitForRequestEvents(page, options);
+    },
+
+    contentFrame(handle) {
+        return handle.contentFrame();
+    },
+
+    frames(page) {
+        return page.frames().map(frame => ({ frame, name: frame.name(), url: frame.url() }));
+    },
+
+    async openPage(page, url) {
+        const newPage = await page.browserContext().newPage();
+
+        try {
+            await newPage.goto(url);
+        } catch (ex) {
+            await newPage.close();
+            throw ex;
+        }
+
+        return newPage;
+    },
+
+    async goto(page, url) {
+        await page.goto(url);
+    },
+
+    async clickAndWait(page, handle) {
+        await Promise.all([page.waitForNavigation(), handle.click()]);
+    },
+
+    closePage(page) {
+        return page.close();
+    },
+
+    screenshot(page) {
+        return page.screenshot({ fullPage: true });
+    }
+};
+
+/**
+ * The driver for Playwright pages.
+ * @type {Driver}
+ */
+export const playwrightDriver = {
+    ...puppeteerDriver,
+    name: "playwright",
+
+    evaluate(target, pageFunction, ...args) {
+
+        if (typeof pageFunction === "string") {
+            return target.evaluate(pageFunction);
+        }
+
+        return target.evaluate(wrapForPlaywright(pageFunction, this.isHandle(target)), args);
+    },
+
+    evaluateHandle(target, pageFunction, ...args) {
+
+        if (typeof pageFunction === "string") {
+            return target.evaluateHandle(pageFunction);
+        }
+
+        return target.evaluateHandle(wrapForPlaywright(pageFunction, this.isHandle(target)), args);
+    },
+
+    async waitForNetworkIdle(page, { timeout }) {
+
+        // Playwright always waits for 500ms without requests
+        await page.waitForLoadState("networkidle", { timeout });
+    },
+
+    async openPage(page, url) {
+        const newPage = await page.context().newPage();
+
+        try {
+            await newPage.goto(url);
+        } catch (ex) {
+            await newPage.close();
+            throw ex;
+        }
+
+        return newPage;
+    }
+};
+
+/**
+ * Chooses the driver for a page based on the library it came from.
+ * @param {Page} page The page.
+ * @returns {Driver} The driver for the page.
+ */
+export function detectDriver(page) {
+
+    // Playwright pages belong to a browser context instead of a browser
+    if (typeof page.browser !== "function" && typeof page.context === "function") {
+        return playwrightDriver;
+    }
+
+    return puppeteerDriver;
+}
+
+/**
+ * Verifies that a driver has all of the required methods.
+ * @param {Driver} driver The driver to check.
+ * @returns {void}
+ * @throws {TypeError} If the driver is missing a required method.
+ */
+export function assertValidDriver(driver) {
+
+    if (!driver || typeof driver !== "object") {
+        throw new TypeError("Driver must be an object.");
+    }
+
+    for (const method of requiredMethods) {
+        if (typeof driver[method] !== "function") {
+            throw new TypeError(`Driver is missing the "${method}()" method.`);
+        }
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Error classes
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} SchemaProblem
+ * @property {string} path The path to the problem inside of the schema,
+ *      such as `books.items.title.type`.
+ * @property {string} message A description of the problem.
+ *
+ * @typedef {Object} ExtractionErrorOptions
+ * @property {string} [code] A code identifying the kind of failure.
+ * @property {Array<string|number>} [path] The keys and array indices
+ *      leading to the value that failed.
+ * @property {Array<string>} [selectors] The selectors used to reach the
+ *      element that failed, starting from the page.
+ * @property {string} [url] The URL of the page.
+ * @property {Error} [cause] The error that caused this error.
+ * @property {*} [value] The value that failed, such as one that doesn't meet
+ *      the constraints of its definition.
+ */
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Formats the keys and array indices leading to a value as a string, such
+ * as `posts[3].author.name`.
+ * @param {Array<string|number>} path The keys and array indices.
+ * @returns {string} The formatted path.
+ */
+export function formatPath(path) {
+    let result = "";
+
+    for (const segment of path) {
+        if (typeof segment === "number") {
+            result += `[${segment}]`;
+        } else {
+            result += result ? `.${segment}` : segment;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Thrown when a schema contains one or more problems.
+ */
+export class SchemaError extends TypeError {
+
+    /**
+     * Creates a new instance.
+     * @param {Array<SchemaProblem>} problems The problems found in the schema.
+     */
+    constructor(problems) {
+        const lines = problems.map(({ path, message }) => (path ? `${path}: ${message}` : message));
+
+        super(`Invalid schema:\n${lines.map(line => `- ${line}`).join("\n")}`);
+
+        this.name = "SchemaError";
+
+        /**
+         * The problems found in the schema.
+         * @type {Array<SchemaProblem>}
+         */
+        this.problems = problems;
+    }
+}
+
+/**
+ * Thrown when data can't be extracted from a page.
+ */
+export class ExtractionError extends Error {
+
+    /**
+     * Creates a new instance.
+     * @param {string} message A description of the failure.
+     * @param {ExtractionErrorOptions} [options] Details about the failure.
+     */
+    constructor(message, { code = "EXTRACTION_FAILED", path = [], selectors = [], url, cause, value } = {}) {
+        const location = formatPath(path);
+
+        super(location ? `${location}: ${message}` : message);
+
+        this.name = "ExtractionError";
+
+        /**
+         * A code identifying the kind of failure, such as `ELEMENT_NOT_FOUND`.
+         * @type {string}
+         */
+        this.code = code;
+
+        /**
+         * The path to the value that failed, such as `posts[3].author.name`.
+         * @type {string}
+         */
+        this.path = location;
+
+        /**
+         * The selectors used to reach the element that failed, starting
+         * from the page.
+         * @type {Array<string>}
+         */
+        this.selectors = [...selectors];
+
+        /**
+         * The URL of the page.
+         * @type {string|undefined}
+         */
+        this.url = url;
+
+        /**
+         * The error that caused this error, if any.
+         * @type {Error|undefined}
+         */
+        this.cause = cause;
+
+        /**
+         * The value that failed, if any.
+         * @type {*}
+         */
+        this.value = value;
+
+        /**
+         * The data extracted before the failure, if any.
+         * @type {Object|undefined}
+         */
+        this.data = undefined;
+
+        /**
+         * The trace recorded before the failure, if the extraction was
+         * being traced.
+         * @type {Object|undefined}
+         */
+        this.trace = undefined;
+    }
+}
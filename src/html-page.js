@@ -0,0 +1,360 @@
+/**
+ * @fileoverview A page backed by static HTML instead of a browser
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { puppeteerDriver, getFunctionSource } from "./drivers.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {import("./drivers.js").Driver} Driver
+ *
+ * @typedef {Object} HtmlPageOptions
+ * @property {string} [url="about:blank"] The URL of the page, used to
+ *      resolve relative URLs.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Loads the JSDOM class from the optional `jsdom` package.
+ * @returns {Promise<Function>} The JSDOM class.
+ * @throws {Error} If `jsdom` isn't installed.
+ */
+async function loadJSDOM() {
+    let jsdom;
+
+    try {
+        jsdom = await import("jsdom");
+    } catch (ex) {
+        throw new Error("Extracting from HTML requires the \"jsdom\" package. Install it with \"npm install jsdom\".");
+    }
+
+    return (jsdom.default || jsdom).JSDOM;
+}
+
+/**
+ * Approximates `innerText` for DOM implementations without layout by
+ * collapsing the whitespace in `textContent`.
+ * @this {HTMLElement}
+ * @returns {string} The text of the element.
+ */
+function getInnerText() {
+    return this.textContent.replace(/\s+/gu, " ").trim();
+}
+
+/**
+ * Copies a value the same way that values are copied out of a browser page.
+ * @param {*} value The value to copy.
+ * @returns {*} A JSON-serializable copy of the value.
+ */
+function serialize(value) {
+    return typeof value === "undefined" ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Runs functions inside of the window of a DOM the same way a browser page
+ * does: the function is serialized so it can't act as a closure, handles are
+ * passed as the values they refer to, and other arguments are copied.
+ */
+class HtmlRuntime {
+
+    /**
+     * Creates a new instance.
+     * @param {Window} window The window to run functions in.
+     */
+    constructor(window) {
+
+        /**
+         * The window to run functions in.
+         * @type {Window}
+         */
+        this.window = window;
+
+        /**
+         * Functions already compiled in the window, keyed by their source.
+         * @type {Map<string,Function>}
+         */
+        this.functions = new Map();
+    }
+
+    /**
+     * Compiles a function inside of the window.
+     * @param {Function|string} pageFunction The function or the source of
+     *      an expression.
+     * @returns {Function|*} The function or the value of the expression.
+     */
+    compile(pageFunction) {
+
+        if (typeof pageFunction === "string") {
+            return this.window.eval(pageFunction);
+        }
+
+        const key = pageFunction.toString();
+
+        if (!this.functions.has(key)) {
+            this.functions.set(key, this.window.eval(`(${getFunctionSource(pageFunction)})`));
+        }
+
+        return this.functions.get(key);
+    }
+
+    /**
+     * Runs a function inside of the window.
+     * @param {Function|string} pageFunction The function to run or the source
+     *      of an expression to evaluate.
+     * @param {Array<*>} args The arguments to pass to the function.
+     * @returns {Promise<*>} The value returned from the function.
+     */
+    async run(pageFunction, args) {
+        const compiled = this.compile(pageFunction);
+
+        if (typeof pageFunction === "string") {
+            return compiled;
+        }
+
+        return compiled(...args.map(arg => (arg instanceof HtmlHandle ? arg.value : serialize(arg))));
+    }
+}
+
+/**
+ * A handle to a value inside of an HTML page, standing in for a Puppeteer
+ * `JSHandle` or `ElementHandle`.
+ */
+class HtmlHandle {
+
+    /**
+     * Creates a new instance.
+     * @param {HtmlRuntime} runtime The runtime of the page.
+     * @param {*} value The value the handle refers to.
+     */
+    constructor(runtime, value) {
+
+        /**
+         * The runtime of the page.
+         * @type {HtmlRuntime}
+         */
+        this.runtime = runtime;
+
+        /**
+         * The value the handle refers to.
+         * @type {*}
+         */
+        this.value = value;
+    }
+
+    /**
+     * Finds the first element matching a CSS selector.
+     * @param {string} selector The CSS selector.
+     * @returns {Promise<HtmlHandle|null>} The element or `null` if there
+     *      isn't one.
+     */
+    async $(selector) {
+        const element = this.value.querySelector(selector);
+        return element ? new HtmlHandle(this.runtime, element) : null;
+    }
+
+    /**
+     * Finds all elements matching a CSS selector.
+     * @param {string} selector The CSS selector.
+     * @returns {Promise<Array<HtmlHandle>>} The elements.
+     */
+    async $$(selector) {
+        return Array.from(this.value.querySelectorAll(selector), element => new HtmlHandle(this.runtime, element));
+    }
+
+    /**
+     * Runs a function with the value of the handle as the first argument.
+     * @param {Function} pageFunction The function to run.
+     * @param {...*} args Additional arguments for the function.
+     * @returns {Promise<*>} A copy of the value returned from the function.
+     */
+    async evaluate(pageFunction, ...args) {
+        return serialize(await this.runtime.run(pageFunction, [this, ...args]));
+    }
+
+    /**
+     * Runs a function with the value of the handle as the first argument.
+     * @param {Function} pageFunction The function to run.
+     * @param {...*} args Additional arguments for the function.
+     * @returns {Promise<HtmlHandle>} A handle to the value returned from
+     *      the function.
+     */
+    async evaluateHandle(pageFunction, ...args) {
+        return new HtmlHandle(this.runtime, await this.runtime.run(pageFunction, [this, ...args]));
+    }
+
+    /**
+     * Returns the handle if its value is a DOM node.
+     * @returns {HtmlHandle|null} The handle or `null` if the value isn't a node.
+     */
+    asElement() {
+        return this.value instanceof this.runtime.window.Node ? this : null;
+    }
+
+    /**
+     * Creates handles for the properties of the value.
+     * @returns {Promise<Map<string,HtmlHandle>>} The handle for each property.
+     */
+    async getProperties() {
+        return new Map(Object.entries(this.value).map(([key, value]) => [key, new HtmlHandle(this.runtime, value)]));
+    }
+
+    /**
+     * Returns a copy of the value.
+     * @returns {Promise<*>} A JSON-serializable copy of the value.
+     */
+    async jsonValue() {
+        return serialize(this.value);
+    }
+
+    /**
+     * Releases the handle. There's nothing to release for HTML pages.
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+        // nothing to do
+    }
+}
+
+/**
+ * A page backed by static HTML, implementing the parts of the Puppeteer
+ * `Page` API used by `htmlDriver`. Scripts on the page don't run and nothing
+ * is loaded over the network.
+ */
+class HtmlPage {
+
+    /**
+     * Creates a new instance.
+     * @param {Window} window The window of the page.
+     */
+    constructor(window) {
+
+        /**
+         * The document of the page.
+         * @type {HtmlHandle}
+         */
+        this.document = new HtmlHandle(new HtmlRuntime(window), window.document);
+    }
+
+    /**
+     * Finds the first element matching a CSS selector.
+     * @param {string} selector The CSS selector.
+     * @returns {Promise<HtmlHandle|null>} The element or `null` if there
+     *      isn't one.
+     */
+    $(selector) {
+        return this.document.$(selector);
+    }
+
+    /**
+     * Finds all elements matching a CSS selector.
+     * @param {string} selector The CSS selector.
+     * @returns {Promise<Array<HtmlHandle>>} The elements.
+     */
+    $$(selector) {
+        return this.document.$$(selector);
+    }
+
+    /**
+     * Runs a function inside of the page.
+     * @param {Function|string} pageFunction The function to run or the source
+     *      of an expression to evaluate.
+     * @param {...*} args The arguments for the function.
+     * @returns {Promise<*>} A copy of the value returned from the function.
+     */
+    async evaluate(pageFunction, ...args) {
+        return serialize(await this.document.runtime.run(pageFunction, args));
+    }
+
+    /**
+     * Runs a function inside of the page.
+     * @param {Function|string} pageFunction The function to run or the source
+     *      of an expression to evaluate.
+     * @param {...*} args The arguments for the function.
+     * @returns {Promise<HtmlHandle>} A handle to the value returned from
+     *      the function.
+     */
+    async evaluateHandle(pageFunction, ...args) {
+        return new HtmlHandle(this.document.runtime, await this.document.runtime.run(pageFunction, args));
+    }
+
+    /**
+     * Returns the URL of the page.
+     * @returns {string} The URL.
+     */
+    url() {
+        return this.document.value.URL;
+    }
+
+    /**
+     * Closes the window of the page.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.document.runtime.window.close();
+    }
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * The driver for pages created by `createHtmlPage()`. Anything that requires
+ * a browser, such as frames and loading other pages, isn't supported.
+ * @type {Driver}
+ */
+export const htmlDriver = {
+    name: "html",
+    querySelector: puppeteerDriver.querySelector,
+    querySelectorAll: puppeteerDriver.querySelectorAll,
+    evaluate: puppeteerDriver.evaluate,
+    evaluateHandle: puppeteerDriver.evaluateHandle,
+    isHandle: puppeteerDriver.isHandle,
+    getElements: puppeteerDriver.getElements,
+    dispose: puppeteerDriver.dispose,
+    url: puppeteerDriver.url,
+
+    async waitForNetworkIdle() {
+        // static HTML makes no network requests
+    }
+};
+
+/**
+ * Creates a page from static HTML that can be extracted from using
+ * `htmlDriver`. Requires the optional `jsdom` package.
+ * @param {string} html The HTML of the page.
+ * @param {HtmlPageOptions} [options] Options for the page.
+ * @returns {Promise<HtmlPage>} The page.
+ * @throws {TypeError} If the HTML isn't a string.
+ * @throws {Error} If `jsdom` isn't installed.
+ */
+export async function createHtmlPage(html, { url = "about:blank" } = {}) {
+
+    if (typeof html !== "string") {
+        throw new TypeError("HTML must be a string.");
+    }
+
+    const JSDOM = await loadJSDOM();
+    const { window } = new JSDOM(html, { url, runScripts: "outside-only" });
+
+    // there's no layout, so the closest thing to innerText is the text content
+    if (!("innerText" in window.HTMLElement.prototype)) {
+        Object.defineProperty(window.HTMLElement.prototype, "innerText", {
+            configurable: true,
+            get: getInnerText
+        });
+    }
+
+    return new HtmlPage(window);
+}
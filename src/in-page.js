@@ -0,0 +1,780 @@
+/**
+ * @fileoverview Single-pass extraction inside of the page
+ * @author Nicholas C. Zakas
+ */
+
+/* global document */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { stringToBoolean } from "./converters.js";
+import {
+    extractText,
+    collectError,
+    convertValue,
+    checkConstraints,
+    prepareProperties,
+    createCellDefs,
+    getColumnNamesSource,
+    getTextOptions,
+    textToNumber,
+    textToDate,
+    textToMatch
+} from "./schema-types.js";
+import { ExtractionError, formatPath } from "./errors.js";
+import { findElements, resolveSelector } from "./selectors.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {import("./drivers.js").Page} Page
+ * @typedef {import("./schema-types.js").AnySchemaDef} AnySchemaDef
+ *
+ * @typedef {Object} PageErrorDetails
+ * @property {string} message A description of the failure.
+ * @property {string} code A code identifying the kind of failure.
+ * @property {Array<string|number>} path The keys and array indices leading
+ *      to the value that failed.
+ * @property {Array<string>} selectors The selectors used to reach the
+ *      element that failed.
+ *
+ * @typedef {Object} PageResult
+ * @property {*} [value] The raw value extracted in the page.
+ * @property {Array<PageErrorDetails>} [errors] The errors collected in the
+ *      page when collecting errors.
+ * @property {PageErrorDetails} [error] The error that stopped extraction
+ *      when not collecting errors.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const primitiveTypes = new Set(["string", "number", "boolean", "date", "url", "match"]);
+
+/**
+ * Creates a copy of a schema definition that can be sent to the page,
+ * omitting any functions.
+ * @param {AnySchemaDef} def The schema definition to copy.
+ * @returns {Object} A serializable plan for the definition.
+ */
+function createPlan(def) {
+    const plan = {
+        type: def.type,
+        selector: resolveSelector(def.selector, def.selectorType),
+        optional: Boolean(def.optional)
+    };
+
+    switch (def.type) {
+        case "array":
+            plan.items = createPlans(def.items);
+            break;
+
+        case "object":
+            plan.properties = createPlans(def.properties);
+            break;
+
+        case "table":
+            plan.keys = Boolean(def.keys);
+            plan.spans = def.spans;
+            plan.headerRows = def.headerRows;
+            plan.names = getColumnNamesSource(def);
+            plan.head = createCellPlans(def.head);
+            plan.body = createCellPlans(def.body);
+            plan.foot = createCellPlans(def.foot);
+            break;
+
+        case "string":
+        case "number":
+        case "boolean":
+        case "date":
+        case "url":
+        case "match":
+            plan.text = getTextOptions(def);
+            break;
+
+        case "switch":
+            plan.cases = def.cases.map(caseDef => ({
+                if: caseDef.if,
+                then: createPlan(caseDef.then)
+            }));
+            plan.default = def.default ? createPlan(def.default) : null;
+            break;
+
+        // no default
+    }
+
+    return plan;
+}
+
+/**
+ * Creates plans for the column definitions of a table.
+ * @param {import("./schema-types.js").ColumnDefs} [defs] The column definitions.
+ * @returns {Array<Object>|Object<string,Object>} The serializable plans.
+ */
+function createCellPlans(defs = []) {
+    if (Array.isArray(defs)) {
+        return defs.map(cellDef => cellDef && createPlan(cellDef));
+    }
+
+    return createPlans(defs);
+}
+
+/**
+ * Creates plans for each definition in a schema.
+ * @param {Object<string,AnySchemaDef>} schema The schema to copy.
+ * @returns {Object<string,Object>} The serializable plans.
+ */
+function createPlans(schema) {
+    const plans = {};
+
+    for (const [key, def] of Object.entries(schema)) {
+        plans[key] = createPlan(def);
+    }
+
+    return plans;
+}
+
+/**
+ * Walks a serialized schema against the document. This function runs in the
+ * context of the page and therefore must not reference anything outside
+ * of itself.
+ * @param {Object<string,Object>} plans The serialized schema.
+ * @param {Function} readText The function to extract text from an element.
+ * @param {Function} find The function to find the elements matching
+ *      a selector.
+ * @param {boolean} collect True to collect errors instead of stopping at the
+ *      first error for each key.
+ * @returns {Object<string,PageResult>} The raw results for each key.
+ */
+function walkDocument(plans, readText, find, collect) {
+
+    const path = [];
+    const selectors = [];
+    let errors = [];
+
+    function fail(message, code, selector) {
+        const error = new Error(message);
+
+        error.details = {
+            message,
+            code,
+            path: path.slice(),
+            selectors: selector ? selectors.concat(selector) : selectors.slice()
+        };
+
+        throw error;
+    }
+
+    function notFound(selector) {
+        fail(`Element matching "${selector}" could not be found.`, "ELEMENT_NOT_FOUND", selector);
+    }
+
+    function walkChild(root, plan, segment) {
+        const pathDepth = path.length;
+        const selectorsDepth = selectors.length;
+
+        path.push(segment);
+
+        try {
+            return walk(root, plan);
+        } catch (ex) {
+            if (!ex.details) {
+                ex.details = {
+                    message: ex.message,
+                    code: "EXTRACTION_FAILED",
+                    path: path.slice(),
+                    selectors: selectors.slice()
+                };
+            }
+
+            if (!collect) {
+                throw ex;
+            }
+
+            errors.push(ex.details);
+            return null;
+        } finally {
+            path.length = pathDepth;
+            selectors.length = selectorsDepth;
+        }
+    }
+
+    function walkProperties(root, properties) {
+        const result = {};
+
+        for (const key of Object.keys(properties)) {
+            result[key] = walkChild(root, properties[key], key);
+        }
+
+        return result;
+    }
+
+    function getCellPlan(cellPlans, index, name) {
+        if (Array.isArray(cellPlans)) {
+            return cellPlans[index] || { type: "string" };
+        }
+
+        if (name && Object.prototype.hasOwnProperty.call(cellPlans, name)) {
+            return cellPlans[name];
+        }
+
+        return cellPlans[index] || { type: "string" };
+    }
+
+    // same layout as createCellGrid() in schema-types.js
+    function createCellGrid(rows) {
+        const grid = rows.map(() => []);
+
+        rows.forEach((row, rowIndex) => {
+            let column = 0;
+
+            Array.from(row.querySelectorAll("td,th"), cell => {
+                const columnCount = Math.max(cell.colSpan, 1);
+                const lastRow = cell.rowSpan === 0
+                    ? rows.length
+                    : Math.min(rows.length, rowIndex + Math.max(cell.rowSpan, 1));
+
+                while (grid[rowIndex][column]) {
+                    column++;
+                }
+
+                for (let gridRow = rowIndex; gridRow < lastRow; gridRow++) {
+                    for (let i = column; i < column + columnCount; i++) {
+                        grid[gridRow][i] = {
+                            cell,
+                            origin: gridRow === rowIndex && i === column
+                        };
+                    }
+                }
+
+                column += columnCount;
+            });
+        });
+
+        return grid;
+    }
+
+    // same rules as countHeaderRows() in schema-types.js
+    function countHeaderRows(rows, headerRows) {
+        if (typeof headerRows === "number") {
+            return headerRows;
+        }
+
+        if (rows.head.length || !rows.body.length) {
+            return 0;
+        }
+
+        const cells = Array.from(rows.body[0].children);
+        return cells.length > 0 && cells.every(cell => cell.tagName === "TH") ? 1 : 0;
+    }
+
+    function walkRows(grid, cellPlans, names, keyed, spans, empty) {
+        return grid.map((positions, rowIndex) => {
+            const cells = [];
+
+            path.push(rowIndex);
+
+            for (let i = 0; i < positions.length; i++) {
+                const position = positions[i];
+
+                if (position && (position.origin || spans === "repeat")) {
+                    const segment = keyed ? names[i] || String(i) : i;
+                    cells.push(walkChild(position.cell, getCellPlan(cellPlans, i, names[i]), segment));
+                } else {
+                    cells.push(null);
+                    empty.push([rowIndex, i]);
+                }
+            }
+
+            path.pop();
+            return cells;
+        });
+    }
+
+    function readColumnNames(positions) {
+        return Array.from(positions, position => {
+            const text = position ? readText(position.cell) : undefined;
+            return typeof text === "string" ? text.trim() : "";
+        });
+    }
+
+    function walk(root, plan) {
+        switch (plan.type) {
+            case "array": {
+                const elements = find(root, plan.selector);
+
+                if (elements.length === 0) {
+                    if (plan.optional) {
+                        return null;
+                    }
+
+                    notFound(plan.selector);
+                }
+
+                selectors.push(plan.selector);
+
+                const items = Array.from(elements, (element, index) => {
+                    path.push(index);
+
+                    const item = walkProperties(element, plan.items);
+
+                    path.pop();
+                    return item;
+                });
+
+                selectors.pop();
+                return items;
+            }
+
+            case "object": {
+                const element = plan.selector ? find(root, plan.selector, true)[0] : root;
+
+                if (!element) {
+                    if (plan.optional) {
+                        return null;
+                    }
+
+                    notFound(plan.selector);
+                }
+
+                if (plan.selector) {
+                    selectors.push(plan.selector);
+                }
+
+                const result = walkProperties(element, plan.properties);
+
+                if (plan.selector) {
+                    selectors.pop();
+                }
+
+                return result;
+            }
+
+            // computed outside of the page from the other values
+            case "computed":
+                return null;
+
+            case "switch": {
+                for (let i = 0; i < plan.cases.length; i++) {
+                    if (find(root, plan.cases[i].if, true).length) {
+                        return { case: i, value: walk(root, plan.cases[i].then) };
+                    }
+                }
+
+                if (plan.default) {
+                    return { case: -1, value: walk(root, plan.default) };
+                }
+
+                if (plan.optional) {
+                    return null;
+                }
+
+                // same message as the switch type in schema-types.js
+                const tried = plan.cases.map(caseDef => `"${caseDef.if}"`).join(", ");
+                return fail(tried ? `No cases matched. Tried ${tried}.` : "No cases matched.", "NO_MATCHING_CASE");
+            }
+
+            case "table": {
+                const tables = find(root, plan.selector);
+
+                if (!tables.length) {
+                    if (plan.optional) {
+                        return null;
+                    }
+
+                    notFound(plan.selector);
+                }
+
+                const rowSelectors = {
+                    head: ":scope > thead > tr",
+                    body: ":scope > tbody > tr, :scope > tr",
+                    foot: ":scope > tfoot > tr"
+                };
+                const rows = { head: [], body: [], foot: [] };
+                const result = { empty: {} };
+                let names = Array.isArray(plan.names) ? plan.names : [];
+
+                // the rows of every matching table are combined
+                for (const table of tables) {
+                    const tableRows = {};
+
+                    for (const name of Object.keys(rowSelectors)) {
+                        tableRows[name] = Array.from(table.querySelectorAll(rowSelectors[name]));
+                    }
+
+                    tableRows.head = tableRows.head.concat(tableRows.body.splice(0, countHeaderRows(tableRows, plan.headerRows)));
+
+                    for (const name of Object.keys(rowSelectors)) {
+                        rows[name].push(...tableRows[name]);
+                    }
+                }
+                selectors.push(plan.selector);
+
+                for (const name of Object.keys(rowSelectors)) {
+                    const grid = plan.spans
+                        ? createCellGrid(rows[name])
+                        : rows[name].map(row => Array.from(row.querySelectorAll("td,th"), cell => ({ cell, origin: true })));
+
+                    result.empty[name] = [];
+                    path.push(name);
+                    selectors.push(rowSelectors[name], "td,th");
+                    result[name] = walkRows(grid, plan[name], names, plan.keys && name !== "head", plan.spans, result.empty[name]);
+                    selectors.length -= 2;
+                    path.pop();
+
+                    if (name === "head" && plan.names === "head" && grid.length) {
+                        names = readColumnNames(grid[grid.length - 1]);
+                    }
+                }
+
+                selectors.pop();
+                result.names = names;
+                return result;
+            }
+
+            default: {
+                const element = plan.selector ? find(root, plan.selector, true)[0] : root;
+
+                if (!element) {
+                    if (plan.optional) {
+                        return null;
+                    }
+
+                    notFound(plan.selector);
+                }
+
+                // wrapped so a missing element can be told apart from missing text
+                return [readText(element, plan.text)];
+            }
+        }
+    }
+
+    const results = {};
+
+    for (const key of Object.keys(plans)) {
+        errors = [];
+
+        try {
+            results[key] = { value: walkChild(document, plans[key], key), errors };
+        } catch (ex) {
+            results[key] = { error: ex.details };
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Converts a raw value from the page for a nested definition, tracking its
+ * location in the same way as `extractValue()`.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {AnySchemaDef} def The schema definition for the value.
+ * @param {*} raw The raw value from the page.
+ * @param {string|number} segment The key or index of the value.
+ * @param {Set<string>} failedPaths The paths that failed in the page.
+ * @returns {Promise<*>} The converted value.
+ */
+async function convertChild(context, def, raw, segment, failedPaths) {
+    const { extraction } = context;
+    const { path, parent } = extraction;
+    const depth = path.length;
+
+    path.push(segment);
+
+    try {
+        if (failedPaths.size && failedPaths.has(formatPath(path))) {
+            return undefined;
+        }
+
+        const value = await convertRaw(context, def, raw, failedPaths);
+        return checkConstraints(context, def, value, rawValueOf(def, raw, value));
+    } catch (ex) {
+        return collectError(context, ex);
+    } finally {
+        path.length = depth;
+        extraction.parent = parent;
+    }
+}
+
+/**
+ * Recursively converts a raw value from the page.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {AnySchemaDef} def The schema definition for the value.
+ * @param {*} raw The raw value from the page.
+ * @param {Set<string>} failedPaths The paths that failed in the page.
+ * @returns {Promise<*>} The converted value.
+ */
+async function convertRaw(context, def, raw, failedPaths) {
+    const { extraction } = context;
+    const { path, parent } = extraction;
+
+    switch (def.type) {
+        case "array": {
+            if (raw === null) {
+                return undefined;
+            }
+
+            const result = [];
+
+            for (const [index, item] of raw.entries()) {
+                path.push(index);
+                result.push(await convertProperties(context, def.items, item, failedPaths));
+                path.pop();
+            }
+
+            return convertValue(context, def, result, null);
+        }
+
+        case "object":
+            if (raw === null) {
+                return undefined;
+            }
+
+            return convertValue(context, def, await convertProperties(context, def.properties, raw, failedPaths), null);
+
+        case "switch": {
+            if (raw === null) {
+                return undefined;
+            }
+
+            const chosen = raw.case === -1 ? def.default : def.cases[raw.case].then;
+            const caseValue = await convertRaw(context, chosen, raw.value, failedPaths);
+            const value = checkConstraints(context, chosen, caseValue, rawValueOf(chosen, raw.value, caseValue));
+
+            return convertValue(context, def, value, null);
+        }
+
+        case "computed":
+            return context.computed(null, def);
+
+        case "table": {
+            if (raw === null) {
+                return undefined;
+            }
+
+            const result = {};
+            const { names } = raw;
+
+            for (const section of ["head", "body", "foot"]) {
+                const getCellDef = createCellDefs(def[section]);
+                const keyed = Boolean(def.keys) && section !== "head";
+                const empty = new Set(raw.empty[section].map(([rowIndex, i]) => `${rowIndex}:${i}`));
+
+                path.push(section);
+                result[section] = [];
+
+                for (const [rowIndex, row] of raw[section].entries()) {
+                    const cells = keyed ? {} : [];
+
+                    path.push(rowIndex);
+                    extraction.parent = cells;
+
+                    for (const [i, cell] of row.entries()) {
+                        const key = keyed ? names[i] || String(i) : i;
+
+                        cells[key] = empty.has(`${rowIndex}:${i}`)
+                            ? null
+                            : await convertChild(context, getCellDef(i, names[i]), cell, key, failedPaths);
+                    }
+
+                    path.pop();
+                    extraction.parent = parent;
+                    result[section].push(cells);
+                }
+
+                path.pop();
+            }
+
+            return convertValue(context, def, result, null);
+        }
+
+        case "boolean":
+            return convertValue(context, def, stringToBoolean(textOf(raw)), null);
+
+        case "number":
+        case "date":
+        case "match":
+        case "url": {
+            let value = textOf(raw);
+
+            if (def.type === "number") {
+                value = textToNumber(context, value, def);
+            } else if (def.type === "date") {
+                value = textToDate(context, value, def);
+            } else if (def.type === "match") {
+                value = textToMatch(context, value, def);
+            }
+
+            return typeof value === "undefined" ? value : convertValue(context, def, value, null);
+        }
+
+        default:
+            if (raw === null) {
+                return undefined;
+            }
+
+            return convertValue(context, def, textOf(raw), null);
+    }
+}
+
+/**
+ * Converts the raw values for each property in a schema.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Object<string,AnySchemaDef>} schema The property definitions.
+ * @param {Object} raw The raw values from the page.
+ * @param {Set<string>} failedPaths The paths that failed in the page.
+ * @returns {Promise<Object>} The converted values.
+ */
+async function convertProperties(context, schema, raw, failedPaths) {
+    const { extraction } = context;
+    const { parent } = extraction;
+    const { result, entries } = prepareProperties(schema);
+
+    extraction.parent = result;
+
+    for (const [key, def] of entries) {
+        result[key] = await convertChild(context, def, raw[key], key, failedPaths);
+    }
+
+    extraction.parent = parent;
+    return result;
+}
+
+/**
+ * Unwraps the text for a primitive value returned from the page.
+ * @param {Array<string>|null} raw The wrapped text or `null` if the element
+ *      wasn't found.
+ * @returns {string|undefined} The text.
+ */
+function textOf(raw) {
+    return raw === null || raw[0] === null ? undefined : raw[0];
+}
+
+/**
+ * Finds the value to report when a value doesn't meet its constraints: the
+ * text returned from the page for primitive values and the converted value
+ * for everything else.
+ * @param {AnySchemaDef} def The schema definition for the value.
+ * @param {*} raw The raw value from the page.
+ * @param {*} value The converted value.
+ * @returns {*} The value to report.
+ */
+function rawValueOf(def, raw, value) {
+
+    switch (def.type) {
+        case "array":
+        case "object":
+        case "switch":
+        case "table":
+        case "computed":
+            return value;
+
+        default:
+            return textOf(raw);
+    }
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if a schema definition can be serialized and extracted inside
+ * of the page. Definitions that rely on functions running in the page, such
+ * as `custom`, that wait, enter frames or shadow roots, or load other pages,
+ * that have `switch` cases with conditions other than a selector, or that
+ * are malformed must use the per-handle walk instead.
+ * @param {AnySchemaDef} def The schema definition to check.
+ * @returns {boolean} True if the definition can be extracted in the page.
+ */
+export function canExtractInPage(def) {
+
+    if (!def || typeof def !== "object") {
+        return false;
+    }
+
+    // waiting, entering frames and shadow roots, loading other pages, and
+    // reporting fallback selectors can only be done outside of the page
+    if (def.wait || def.frame || def.shadow || Array.isArray(def.selector) || (def.type === "url" && def.follow)) {
+        return false;
+    }
+
+    if (primitiveTypes.has(def.type) || def.type === "computed") {
+        return true;
+    }
+
+    switch (def.type) {
+        case "array":
+            return !def.paginate && Boolean(def.items) && Object.values(def.items).every(canExtractInPage);
+
+        case "object":
+            return Boolean(def.properties) && Object.values(def.properties).every(canExtractInPage);
+
+        case "table":
+            return ["head", "body", "foot"].every(section =>
+                Object.values(def[section] || []).every(cellDef => !cellDef || canExtractInPage(cellDef))
+            );
+
+        case "switch":
+            return Array.isArray(def.cases) && def.cases.every(caseDef =>
+                typeof caseDef.if === "string" && canExtractInPage(caseDef.then)
+            ) && (!def.default || canExtractInPage(def.default));
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Extracts raw data for each of the given definitions using a single
+ * evaluation inside of the page.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Object<string,AnySchemaDef>} schema The definitions to extract. Each
+ *      one must pass `canExtractInPage()`.
+ * @returns {Promise<Object<string,PageResult>>} The raw results for each key.
+ */
+export async function extractInPage(context, schema) {
+    const { driver, page, errors } = context.extraction;
+    const textReader = await driver.evaluateHandle(page, `(${extractText})`);
+    const elementFinder = await driver.evaluateHandle(page, `(${findElements})`);
+
+    try {
+        return await driver.evaluate(page, walkDocument, createPlans(schema), textReader, elementFinder, Boolean(errors));
+    } finally {
+        await driver.dispose(textReader);
+        await driver.dispose(elementFinder);
+    }
+}
+
+/**
+ * Converts a raw result from `extractInPage()` into the value the per-handle
+ * walk would have produced, running `convert` functions along the way.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {AnySchemaDef} def The schema definition for the value.
+ * @param {PageResult} result The raw result from the page.
+ * @param {string} key The key of the definition in the schema.
+ * @returns {Promise<*>} The converted value.
+ * @throws {ExtractionError} If the page reported an error for this
+ *      definition and errors aren't being collected.
+ */
+export async function convertPageResult(context, def, result, key) {
+    const { url } = context.extraction;
+
+    if (result.error) {
+        throw new ExtractionError(result.error.message, { ...result.error, url });
+    }
+
+    const failedPaths = new Set();
+
+    for (const details of result.errors) {
+        collectError(context, new ExtractionError(details.message, { ...details, url }));
+        failedPaths.add(formatPath(details.path));
+    }
+
+    return convertChild(context, def, result.value, key, failedPaths);
+}
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Describes extracted data using JSON Schema
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { getColumnNamesSource } from "./schema-types.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {import("./schema-types.js").AnySchemaDef} AnySchemaDef
+ * @typedef {import("./schema-types.js").ColumnDefs} ColumnDefs
+ * @typedef {import("./constraints.js").Constraints} Constraints
+ *
+ * @typedef {Object<string,*>} JsonSchema A JSON Schema document or subschema.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const jsonSchemaVersion = "http://json-schema.org/draft-07/schema#";
+
+/**
+ * The JSON Schema for values whose type can't be known ahead of time, such
+ * as those returned from `convert` functions.
+ * @type {JsonSchema}
+ */
+const anyValue = {};
+
+/**
+ * The JSON Schema pattern for strings that contain more than whitespace.
+ * @type {string}
+ */
+const nonEmptyPattern = "\\S";
+
+/**
+ * Describes the cells in a table row. The position of each cell is only
+ * known when the column definitions are an array, and the key of each cell
+ * is only known when the column names are also known.
+ * @param {ColumnDefs} [defs] The column definitions.
+ * @param {boolean} keyed True if the row is an object keyed by column name.
+ * @param {Array<string>|undefined} names The column names, if known.
+ * @param {string} [spans] The `spans` option of the table.
+ * @returns {JsonSchema} The JSON Schema for the row.
+ */
+function describeRow(defs = [], keyed, names, spans) {
+    const defaultCell = spans === "null" ? { type: ["string", "null"] } : { type: "string" };
+    const describeCell = def => (spans === "null" ? { anyOf: [describeValue(def), { type: "null" }] } : describeValue(def));
+    const cellDefs = Object.values(defs).filter(Boolean);
+    const anyCell = cellDefs.length ? { anyOf: cellDefs.map(describeCell).concat(defaultCell) } : defaultCell;
+
+    if (!keyed) {
+        return Array.isArray(defs)
+            ? { type: "array", items: defs.map(def => (def ? describeCell(def) : defaultCell)), additionalItems: defaultCell }
+            : { type: "array", items: anyCell };
+    }
+
+    if (Array.isArray(defs) && !names) {
+        return { type: "object", additionalProperties: anyCell };
+    }
+
+    const properties = {};
+
+    for (const [key, def] of Object.entries(defs)) {
+        if (def) {
+            properties[Array.isArray(defs) ? names[key] || key : key] = describeCell(def);
+        }
+    }
+
+    return { type: "object", properties, additionalProperties: defaultCell };
+}
+
+/**
+ * Describes the value extracted for a table.
+ * @param {import("./schema-types.js").TableSchemaDef} def The table definition.
+ * @returns {JsonSchema} The JSON Schema for the table.
+ */
+function describeTable(def) {
+    const namesSource = getColumnNamesSource(def);
+    const names = Array.isArray(namesSource) ? namesSource : undefined;
+    const keyed = Boolean(def.keys);
+
+    return {
+        type: "object",
+        properties: {
+            head: { type: "array", items: describeRow(def.head, false, names, def.spans) },
+            body: { type: "array", items: describeRow(def.body, keyed, names, def.spans) },
+            foot: { type: "array", items: describeRow(def.foot, keyed, names, def.spans) }
+        },
+        required: ["head", "body", "foot"],
+        additionalProperties: false
+    };
+}
+
+/**
+ * Describes the value extracted for a `match` definition.
+ * @param {import("./schema-types.js").MatchSchemaDef} def The match definition.
+ * @returns {JsonSchema} The JSON Schema for the match.
+ */
+function describeMatch({ pattern, groups }) {
+
+    if (groups) {
+        const properties = {};
+
+        for (const name of groups) {
+            properties[name] = { type: "string" };
+        }
+
+        return { type: "object", properties, additionalProperties: false };
+    }
+
+    // named capture groups become an object
+    if (/\(\?<[^=!]/u.test(new RegExp(pattern).source)) {
+        return { type: "object", additionalProperties: { type: "string" } };
+    }
+
+    return { type: "string" };
+}
+
+/**
+ * Converts a regular expression into a JSON Schema pattern. JSON Schema
+ * patterns can't have flags, so the sticky flag becomes an anchor and
+ * patterns with flags that change what matches can't be described.
+ * @param {RegExp|string} pattern The regular expression.
+ * @returns {string|undefined} The JSON Schema pattern or `undefined` if the
+ *      regular expression can't be described.
+ */
+function describePattern(pattern) {
+    const regex = new RegExp(pattern);
+
+    if (/[imsv]/u.test(regex.flags)) {
+        return undefined;
+    }
+
+    return regex.sticky ? `^(?:${regex.source})` : regex.source;
+}
+
+/**
+ * Describes the constraints of a definition using the matching JSON Schema
+ * keywords. Each keyword only applies to values of its type, so a
+ * constraint such as `nonEmpty` can become keywords for strings and arrays.
+ * @param {Constraints} [constraints] The constraints.
+ * @returns {JsonSchema} The keywords for the constraints.
+ */
+function describeConstraints(constraints = {}) {
+    const { nonEmpty, min, max, minItems, maxItems } = constraints;
+    const pattern = typeof constraints.pattern === "undefined" ? undefined : describePattern(constraints.pattern);
+    const result = {};
+
+    // a string containing only whitespace is empty
+    if (nonEmpty) {
+        result.pattern = nonEmptyPattern;
+        result.minItems = 1;
+    }
+
+    if (typeof pattern !== "undefined") {
+        if (result.pattern) {
+            result.allOf = [{ pattern }];
+        } else {
+            result.pattern = pattern;
+        }
+    }
+
+    if (typeof min !== "undefined") {
+        result.minimum = min;
+    }
+
+    if (typeof max !== "undefined") {
+        result.maximum = max;
+    }
+
+    if (constraints.enum) {
+        result.enum = constraints.enum;
+    }
+
+    if (typeof minItems !== "undefined") {
+        result.minItems = minItems;
+    }
+
+    if (typeof maxItems !== "undefined") {
+        result.maxItems = maxItems;
+    }
+
+    return result;
+}
+
+/**
+ * Describes the value extracted for a definition, including its constraints.
+ * @param {AnySchemaDef} def The definition.
+ * @returns {JsonSchema} The JSON Schema for the value.
+ */
+function describeValue(def) {
+    return Object.assign({}, describeType(def), describeConstraints(def.constraints));
+}
+
+/**
+ * Describes the type of the value extracted for a definition.
+ * @param {AnySchemaDef} def The definition.
+ * @returns {JsonSchema} The JSON Schema for the type of the value.
+ */
+function describeType(def) {
+
+    // the result of a conversion could be anything
+    if (typeof def.convert !== "undefined") {
+        return anyValue;
+    }
+
+    switch (def.type) {
+        case "string":
+            return { type: "string" };
+
+        case "number":
+            return { type: "number" };
+
+        case "boolean":
+            return { type: "boolean" };
+
+        case "date":
+            return { type: "string", format: "date-time" };
+
+        case "url":
+            return def.follow ? describeObject(def.follow) : { type: "string", format: "uri" };
+
+        case "match":
+            return describeMatch(def);
+
+        case "array":
+            return { type: "array", items: describeObject(def.items) };
+
+        case "object":
+            return describeObject(def.properties);
+
+        case "table":
+            return describeTable(def);
+
+        case "switch": {
+            const defs = def.cases.map(caseDef => caseDef.then);
+
+            if (def.default) {
+                defs.push(def.default);
+            }
+
+            return { anyOf: defs.map(describeValue) };
+        }
+
+        default:
+            return anyValue;
+    }
+}
+
+/**
+ * Describes the object extracted for an object of definitions. Values that
+ * are optional aren't required because `undefined` values are left out
+ * of JSON.
+ * @param {Object<string,AnySchemaDef>} defs The definitions.
+ * @returns {JsonSchema} The JSON Schema for the object.
+ */
+function describeObject(defs) {
+    const properties = {};
+    const required = [];
+
+    for (const [key, def] of Object.entries(defs)) {
+        properties[key] = describeValue(def);
+
+        if (!def.optional) {
+            required.push(key);
+        }
+    }
+
+    return {
+        type: "object",
+        properties,
+        required,
+        additionalProperties: false
+    };
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates a JSON Schema (draft-07) document describing the data extracted
+ * with a schema, such as for validating scraped records. Values produced by
+ * `convert` functions, `custom` and `computed` definitions, and custom
+ * schema types can't be known ahead of time and may be anything.
+ * @param {Object<string,AnySchemaDef>} schema A valid schema.
+ * @param {Object} [options] Options for the document.
+ * @param {string} [options.title] The title of the document.
+ * @returns {JsonSchema} The JSON Schema document.
+ */
+export function toJsonSchema(schema, { title } = {}) {
+    const result = { $schema: jsonSchemaVersion };
+
+    if (title) {
+        result.title = title;
+    }
+
+    return Object.assign(result, describeObject(schema));
+}
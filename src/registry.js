@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Named converters and extractors for JSON schemas
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { stringToBoolean, stringToNumber, stringToDate, matchString } from "./converters.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {import("./schema-types.js").AnySchemaDef} AnySchemaDef
+ *
+ * @typedef {Object} ConvertStep
+ * @property {string} name The name of the converter.
+ * @property {Array<*>} [args] Additional arguments passed to the converter
+ *      after the value.
+ *
+ * @typedef {Function|string|Array<string|Function|ConvertStep>} ConvertSpec
+ *      A conversion function, converter names separated by `|`, or an array
+ *      of steps that are run in order.
+ *
+ * @typedef {Object} Registries
+ * @property {Object<string,Function>} converters The known converters.
+ * @property {Object<string,Function>} extractors The known extractors.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const regExpLiteral = /^\/(.+)\/([a-z]*)$/u;
+
+/**
+ * The properties of each built-in schema type that contain nested
+ * definitions, either as an array or as an object of definitions.
+ * @type {Object<string,Array<string>>}
+ */
+const nestedDefinitionKeys = {
+    array: ["items"],
+    object: ["properties"],
+    table: ["head", "body", "foot"],
+    url: ["follow"]
+};
+
+/**
+ * Applies a function to a string or to every string in an array. Any other
+ * value is returned unchanged so converters can be chained after `split`.
+ * @param {*} value The value to convert.
+ * @param {(text:string) => *} convert The function to apply.
+ * @returns {*} The converted value.
+ */
+function mapStrings(value, convert) {
+
+    if (Array.isArray(value)) {
+        return value.map(item => mapStrings(item, convert));
+    }
+
+    return typeof value === "string" ? convert(value) : value;
+}
+
+/**
+ * Replaces text in a string. Search text that looks like a regular
+ * expression literal, such as `"/\\s+/g"`, is used as a regular expression
+ * and any other search text is replaced everywhere it appears.
+ * @param {string} text The text to search.
+ * @param {string|RegExp} search The text or regular expression to find.
+ * @param {string} replacement The replacement text.
+ * @returns {string} The text with replacements made.
+ */
+function replaceText(text, search, replacement) {
+
+    if (search instanceof RegExp) {
+        return text.replace(search, replacement);
+    }
+
+    const match = regExpLiteral.exec(search);
+
+    if (match) {
+        return text.replace(new RegExp(match[1], match[2]), replacement);
+    }
+
+    return text.split(search).join(replacement);
+}
+
+/**
+ * The converters available to every schema. Each receives the value followed
+ * by the `args` of its step.
+ * @type {Object<string,Function>}
+ */
+const builtInConverters = {
+    toBoolean: value => mapStrings(value, stringToBoolean),
+    toNumber: (value, options) => mapStrings(value, text => stringToNumber(text, options)),
+    toDate: (value, formats) => mapStrings(value, text => stringToDate(text, formats)),
+    match: (value, pattern, groups) => mapStrings(value, text => matchString(text, pattern, groups)),
+    trim: value => mapStrings(value, text => text.trim()),
+    lowercase: value => mapStrings(value, text => text.toLowerCase()),
+    uppercase: value => mapStrings(value, text => text.toUpperCase()),
+    replace: (value, search, replacement = "") => mapStrings(value, text => replaceText(text, search, replacement)),
+    split: (value, separator = ",") => (typeof value === "string" ? value.split(separator) : value),
+
+    default(value, defaultValue) {
+        const isEmpty = typeof value === "undefined" || value === null ||
+            value === "" || Number.isNaN(value);
+
+        return isEmpty ? defaultValue : value;
+    }
+};
+
+/**
+ * Converters registered with `registerConverter()`.
+ * @type {Object<string,Function>}
+ */
+const registeredConverters = {};
+
+/**
+ * Extractors registered with `registerExtractor()`.
+ * @type {Object<string,Function>}
+ */
+const registeredExtractors = {};
+
+/**
+ * Verifies that a named function can be added to a registry.
+ * @param {string} kind The kind of function, such as `"Converter"`.
+ * @param {string} name The name of the function.
+ * @param {Function} fn The function.
+ * @param {Object<string,Function>} builtIns The functions that can't be replaced.
+ * @returns {void}
+ * @throws {TypeError} If the name or function is invalid.
+ */
+function assertValidNamedFunction(kind, name, fn, builtIns) {
+
+    if (typeof name !== "string" || !name || name.includes("|")) {
+        throw new TypeError(`${kind} name must be a non-empty string without "|".`);
+    }
+
+    if (name in builtIns) {
+        throw new TypeError(`${kind} "${name}" is built-in and cannot be replaced.`);
+    }
+
+    if (typeof fn !== "function") {
+        throw new TypeError(`${kind} "${name}" must be a function.`);
+    }
+}
+
+/**
+ * Creates a registry containing the built-in, registered, and custom
+ * functions of one kind.
+ * @param {string} kind The kind of function, such as `"Converter"`.
+ * @param {Object<string,Function>} builtIns The built-in functions.
+ * @param {Object<string,Function>} registered The registered functions.
+ * @param {Object<string,Function>} custom The custom functions.
+ * @returns {Object<string,Function>} The registry.
+ * @throws {TypeError} If a custom function is invalid.
+ */
+function createRegistry(kind, builtIns, registered, custom) {
+    const registry = Object.assign(Object.create(null), builtIns, registered);
+
+    for (const [name, fn] of Object.entries(custom)) {
+        assertValidNamedFunction(kind, name, fn, builtIns);
+        registry[name] = fn;
+    }
+
+    return registry;
+}
+
+/**
+ * Creates a conversion function that runs the steps of a `convert`
+ * property in order. Functions in the steps receive the same context as
+ * any other `convert` function while named converters receive their `args`.
+ * @param {ConvertSpec} convert The `convert` property.
+ * @param {Object<string,Function>} converters The known converters.
+ * @returns {Function} The conversion function.
+ */
+function createConverter(convert, converters) {
+
+    if (typeof convert === "function") {
+        return convert;
+    }
+
+    const steps = getConvertSteps(convert).map(step => {
+
+        if (typeof step === "function") {
+            return step;
+        }
+
+        const converter = converters[step.name];
+        const args = step.args || [];
+
+        return value => converter(value, ...args);
+    });
+
+    return async (value, context) => {
+        let result = value;
+
+        for (const step of steps) {
+            result = await step(result, context);
+        }
+
+        return result;
+    };
+}
+
+/**
+ * Resolves each definition in an object of definitions.
+ * @param {Object<string,AnySchemaDef>} defs The definitions.
+ * @param {Registries} registries The known converters and extractors.
+ * @returns {Object<string,AnySchemaDef>} The resolved definitions.
+ */
+function resolveDefinitions(defs, registries) {
+    const result = {};
+
+    for (const [key, def] of Object.entries(defs)) {
+        result[key] = resolveDefinition(def, registries);
+    }
+
+    return result;
+}
+
+/**
+ * Resolves a property containing nested definitions, either as an array
+ * or as an object of definitions.
+ * @param {Array<AnySchemaDef>|Object<string,AnySchemaDef>} defs The definitions.
+ * @param {Registries} registries The known converters and extractors.
+ * @returns {Array<AnySchemaDef>|Object<string,AnySchemaDef>} The resolved
+ *      definitions.
+ */
+function resolveChildren(defs, registries) {
+
+    if (Array.isArray(defs)) {
+        return defs.map(def => resolveDefinition(def, registries));
+    }
+
+    return defs && typeof defs === "object" ? resolveDefinitions(defs, registries) : defs;
+}
+
+/**
+ * Creates a copy of a definition and its descendants in which converter
+ * and extractor names are replaced with functions.
+ * @param {AnySchemaDef} def The definition.
+ * @param {Registries} registries The known converters and extractors.
+ * @returns {AnySchemaDef} The resolved definition.
+ */
+function resolveDefinition(def, registries) {
+
+    if (!def || typeof def !== "object") {
+        return def;
+    }
+
+    const result = { ...def };
+
+    if (typeof def.convert !== "undefined") {
+        result.convert = createConverter(def.convert, registries.converters);
+    }
+
+    if (typeof def.extract === "string" && def.extract in registries.extractors) {
+        result.extract = registries.extractors[def.extract];
+    }
+
+    for (const key of nestedDefinitionKeys[def.type] || []) {
+        if (key in def) {
+            result[key] = resolveChildren(def[key], registries);
+        }
+    }
+
+    if (def.type === "switch" && Array.isArray(def.cases)) {
+        result.cases = def.cases.map(caseDef => ({
+            ...caseDef,
+            then: resolveDefinition(caseDef.then, registries)
+        }));
+
+        if ("default" in def) {
+            result.default = resolveDefinition(def.default, registries);
+        }
+    }
+
+    return result;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Splits the `convert` property of a definition into its steps. Converter
+ * names may be separated by `|` in strings.
+ * @param {string|Array<string|Function|ConvertStep>} convert The `convert`
+ *      property.
+ * @returns {Array<Function|ConvertStep>} The steps in the order they run.
+ */
+export function getConvertSteps(convert) {
+    const steps = [];
+
+    for (const step of [].concat(convert)) {
+        if (typeof step === "string") {
+            steps.push(...step.split("|").map(name => ({ name: name.trim() })));
+        } else {
+            steps.push(step);
+        }
+    }
+
+    return steps;
+}
+
+/**
+ * Registers a converter globally so that it is included in every object
+ * returned from `createConverters()`.
+ * @param {string} name The name used in `convert` properties.
+ * @param {Function} converter The function that receives the value and
+ *      any arguments and returns the converted value.
+ * @returns {void}
+ * @throws {TypeError} If the name is already in use or the converter isn't
+ *      a function.
+ */
+export function registerConverter(name, converter) {
+    assertValidNamedFunction("Converter", name, converter, builtInConverters);
+
+    if (name in registeredConverters) {
+        throw new TypeError(`Converter "${name}" is already registered.`);
+    }
+
+    registeredConverters[name] = converter;
+}
+
+/**
+ * Registers an extractor globally so that it is included in every object
+ * returned from `createExtractors()`.
+ * @param {string} name The name used in `extract` properties.
+ * @param {Function} extractor The function that runs inside of the page
+ *      and receives the element to extract from.
+ * @returns {void}
+ * @throws {TypeError} If the name is already in use or the extractor isn't
+ *      a function.
+ */
+export function registerExtractor(name, extractor) {
+    assertValidNamedFunction("Extractor", name, extractor, {});
+
+    if (name in registeredExtractors) {
+        throw new TypeError(`Extractor "${name}" is already registered.`);
+    }
+
+    registeredExtractors[name] = extractor;
+}
+
+/**
+ * Creates an object containing the built-in converters along with any
+ * registered and custom converters.
+ * @param {Object<string,Function>} [customConverters] The custom converters.
+ *      These take precedence over registered converters with the same name.
+ * @returns {Object<string,Function>} An object containing all converters.
+ * @throws {TypeError} If a custom converter is invalid.
+ */
+export function createConverters(customConverters = {}) {
+    return createRegistry("Converter", builtInConverters, registeredConverters, customConverters);
+}
+
+/**
+ * Creates an object containing the registered and custom extractors.
+ * @param {Object<string,Function>} [customExtractors] The custom extractors.
+ *      These take precedence over registered extractors with the same name.
+ * @returns {Object<string,Function>} An object containing all extractors.
+ * @throws {TypeError} If a custom extractor is invalid.
+ */
+export function createExtractors(customExtractors = {}) {
+    return createRegistry("Extractor", {}, registeredExtractors, customExtractors);
+}
+
+/**
+ * Creates a copy of a validated schema in which every `convert` property is
+ * a function and every named extractor is replaced with its function, so
+ * extraction doesn't need to know about names. Only the nested definitions
+ * of built-in schema types are resolved.
+ * @param {Object<string,AnySchemaDef>} schema The schema.
+ * @param {Registries} registries The known converters and extractors.
+ * @returns {Object<string,AnySchemaDef>} The resolved schema.
+ */
+export function resolveSchema(schema, registries) {
+    return resolveDefinitions(schema, registries);
+}
@@ -8,29 +8,152 @@
 //-----------------------------------------------------------------------------
 
 import { ArrayWithDefault } from "@humanwhocodes/array-with-default";
-import { stringToBoolean, stringToNumber, identity } from "./converters.js";
+import { stringToBoolean, stringToNumber, stringToDate, matchString } from "./converters.js";
+import { ExtractionError, formatPath } from "./errors.js";
+import { getWaitOptions, waitForElement } from "./waits.js";
+import { queryOne, queryAll, resolveSelector } from "./selectors.js";
+import { findViolation } from "./constraints.js";
+import { enterTraceNode, exitTraceNode, traceMatch, traceText } from "./trace.js";
 
 //-----------------------------------------------------------------------------
 // Types
 //-----------------------------------------------------------------------------
 
 /**
- * @typedef {import("puppeteer").Page} Page
- * @typedef {import("puppeteer").ElementHandle} ElementHandle
+ * @typedef {import("./drivers.js").Driver} Driver
+ * @typedef {import("./drivers.js").Page} Page
+ * @typedef {import("./drivers.js").ElementHandle} ElementHandle
+ * @typedef {import("./drivers.js").Frame} Frame
+ * @typedef {import("./converters.js").NumberFormatOptions} NumberFormatOptions
+ * @typedef {import("./waits.js").WaitOptions} WaitOptions
+ * @typedef {import("./selectors.js").SelectorType} SelectorType
+ * @typedef {import("./constraints.js").Constraints} Constraints
+ * @typedef {import("./trace.js").TraceState} TraceState
  *
  * @typedef {Object<string,JSONValue>|Array<JSONValue>|string|number|boolean|null} JSONValue
- * @typedef {SchemaDef|ArraySchemaDef|ObjectSchemaDef|TableSchemaDef|SwitchSchemaDef|CustomSchemaDef} AnySchemaDef
+ * @typedef {SchemaDef|NumberSchemaDef|DateSchemaDef|UrlSchemaDef|MatchSchemaDef|ArraySchemaDef|ObjectSchemaDef|TableSchemaDef|SwitchSchemaDef|CustomSchemaDef|ComputedSchemaDef} AnySchemaDef
  * 
  * @typedef {Object} CaseIf
- * @property {string} if The CSS selector to locate.
+ * @property {string|CaseCondition} if The selector to locate or the
+ *      condition to test.
  * @property {AnySchemaDef} then The schema definition to apply if `if` is found.
  *
+ * @typedef {Object} CaseCondition
+ * @property {string} [selector] The selector of the elements to test.
+ * @property {string} [attribute] The attribute of the first element to test
+ *      instead of its text.
+ * @property {string} [equals] The text (or attribute value) the first
+ *      element must have, ignoring surrounding whitespace.
+ * @property {RegExp|string} [matches] A regular expression the text (or
+ *      attribute value) of the first element must match.
+ * @property {number|{min:number,max:number}} [count] The number of elements
+ *      that must match the selector, or the fewest and most elements.
+ * @property {RegExp|string} [url] A regular expression the URL of the page
+ *      must match.
+ *
  * @typedef {Object} SchemaDef
  * @property {string} type The type of schema.
- * @property {string} selector The CSS selector to locate the element.
+ * @property {string|Array<string>} selector The CSS selector to locate the
+ *      element. It may also be an XPath expression starting with `//` or a
+ *      selector with a `css=`, `xpath=`, or `text=` prefix. A list of
+ *      selectors is tried in order and the first one that matches is used.
+ * @property {SelectorType} [selectorType] The type of `selector` when it
+ *      doesn't have a prefix.
  * @property {boolean} [optional=false] Indicates if the selector may not exist.
+ * @property {string|FrameLocator} [frame] The `<iframe>` to extract from,
+ *      either as a CSS selector for the element or by frame name or URL.
+ * @property {boolean|string} [shadow] Extracts from inside of the open shadow
+ *      root of the element matching this CSS selector, or of the current
+ *      element when `true`.
+ * @property {boolean|number|WaitOptions} [wait] Waits for the element (or the
+ *      element matching `wait.selector`) to exist before extracting. A number
+ *      is the timeout in milliseconds.
+ * @property {string} [attribute] The attribute to read instead of the text.
+ * @property {string} [property] The element property to read instead of
+ *      the text.
  * @property {Function?} convert A conversion function that will initially
  *      receive the extracted data before placing it in the data structure
+ * @property {Constraints} [constraints] The conditions the value must meet
+ *      after it has been converted.
+ *
+ * @typedef {SchemaDef & NumberFormatOptions} NumberSchemaDef
+ *
+ * @typedef {SchemaDef & DateOptions} DateSchemaDef
+ *
+ * @typedef {Object} DateOptions
+ * @property {Array<string>} [formats] The formats the text may be in, such
+ *      as `"DD/MM/YYYY"`, tried in order.
+ *
+ * @typedef {SchemaDef & UrlOptions} UrlSchemaDef
+ *
+ * @typedef {Object} UrlOptions
+ * @property {Object<string,AnySchemaDef>} [follow] A schema to extract from
+ *      the page at the URL instead of returning the URL.
+ *
+ * @typedef {SchemaDef & MatchOptions} MatchSchemaDef
+ *
+ * @typedef {Object} MatchOptions
+ * @property {RegExp|string} pattern The regular expression to apply to
+ *      the text.
+ * @property {Array<string>} [groups] The names to use for each capture group.
+ *
+ * @typedef {Object} FrameLocator
+ * @property {string} [name] The name of the frame.
+ * @property {string|RegExp} [url] Text contained in the URL of the frame or
+ *      a regular expression that matches it.
+ *
+ * @typedef {Object} ExtractionState
+ * @property {Page} page The page being extracted from.
+ * @property {Driver} driver The driver for the page.
+ * @property {string} url The URL of the page.
+ * @property {Array<string|number>} path The keys and array indices leading
+ *      to the value currently being extracted.
+ * @property {Array<string>} selectors The selectors used to reach the
+ *      element currently being queried from.
+ * @property {Array<ExtractionError>|null} errors The errors collected so far
+ *      or `null` if errors should be thrown.
+ * @property {Array<SelectorMatch>|null} selectorMatches The fallback
+ *      selectors chosen so far or `null` if they aren't being reported.
+ * @property {Object|Array|null} parent The object or table row that the
+ *      value currently being extracted will be added to.
+ * @property {TraceState|null} trace The trace being recorded or `null` if
+ *      the extraction isn't being traced.
+ * @property {{text?:string}|null} raw Where the text read for the value
+ *      currently being extracted is recorded, or `null` outside of a value.
+ *
+ * @typedef {Object} ConvertContext
+ * @property {Page} page The page the value was extracted from.
+ * @property {string} url The URL of the page.
+ * @property {ElementHandle|Page|null} handle The element the value was
+ *      extracted from or `null` when it was extracted inside of the page.
+ * @property {Object|Array|null} parent The partial result that the value
+ *      will be added to, containing the values extracted before it.
+ * @property {string} path The path to the value, such as `posts[3].title`.
+ *
+ * @typedef {Object} SelectorMatch
+ * @property {string} path The path to the value, such as `posts[3].title`.
+ * @property {Array<string>} selectors The fallback selectors of the
+ *      definition.
+ * @property {number} index The index of the selector that matched or `-1`
+ *      if none of them matched.
+ * @property {string|null} selector The selector that matched or `null` if
+ *      none of them matched.
+ *
+ * @typedef {Object} ExtractionContextOptions
+ * @property {boolean} [collectErrors=false] When `true`, errors are collected
+ *      instead of thrown.
+ * @property {boolean} [reportSelectors=false] When `true`, the fallback
+ *      selector chosen for each value is recorded.
+ * @property {Driver} driver The driver for the page.
+ * @property {TraceState|null} [trace=null] The state for recording a trace.
+ *
+ * @typedef {Object} TextOptions
+ * @property {string} [attribute] The attribute to read.
+ * @property {string} [property] The element property to read.
+ * @property {Array<string>} [defaultAttributes] The attributes to read, in
+ *      order of preference, before falling back to the text.
+ * @property {boolean} [resolve=false] True to resolve the value as a URL
+ *      against the base URL of the element.
  *
  * @typedef {Object} ArraySchemaDef
  * @property {string} type The type of schema.
@@ -40,6 +163,21 @@ import { stringToBoolean, stringToNumber, identity } from "./converters.js";
  *      receive the extracted data before placing it in the data structure
  * @property {Object<string,SchemaDef>} items The schema for each item
  *      in the array.
+ * @property {PaginateOptions} [paginate] How to find more items on the
+ *      following pages.
+ *
+ * @typedef {Object} PaginateOptions
+ * @property {string} next The CSS selector for the link or button that leads
+ *      to the next page.
+ * @property {number} [maxPages=Infinity] The most pages to extract from,
+ *      including the first.
+ * @property {(info:PageInfo) => boolean|Promise<boolean>} [stop] A function
+ *      called after each page that returns `true` to stop paginating.
+ *
+ * @typedef {Object} PageInfo
+ * @property {Array<Object>} items The items extracted so far.
+ * @property {number} pageNumber The number of pages extracted so far.
+ * @property {string} url The URL of the last page extracted.
  *
  * @typedef {Object} CustomSchemaDef
  * @property {string} type The type of schema.
@@ -62,6 +200,19 @@ import { stringToBoolean, stringToNumber, identity } from "./converters.js";
  * @typedef {Object} SwitchSchemaDef
  * @property {string} type The type of schema.
  * @property {Array<CaseIf>} cases The cases to check.
+ * @property {AnySchemaDef} [default] The schema definition to apply if no
+ *      cases match.
+ * @property {boolean} [optional=false] Indicates if no cases may match.
+ * @property {Function?} convert A conversion function that will initially
+ *      receive the extracted data before placing it in the data structure
+ *
+ * @typedef {Object} ComputedSchemaDef
+ * @property {string} type The type of schema.
+ * @property {(values:Object, context:ConvertContext) => *} compute A function
+ *      that receives the values of its siblings, after they have been
+ *      extracted, and returns the value or a promise for it.
+ * @property {Function?} convert A conversion function that will initially
+ *      receive the computed data before placing it in the data structure
  *
  * @typedef {Object} TableSchemaDef
  * @property {string} type The type of schema.
@@ -69,12 +220,33 @@ import { stringToBoolean, stringToNumber, identity } from "./converters.js";
  * @property {boolean} [optional=false] Indicates if the selector may not exist.
  * @property {Function?} convert A conversion function that will initially
  *      receive the extracted data before placing it in the data structure
+ * @property {"head"|Array<string>} [keys] When present, each row in `body`
+ *      and `foot` is an object whose keys are the column names instead of
+ *      an array. Use `"head"` to take the column names from the text of
+ *      the last head row or provide an array of column names.
+ * @property {"repeat"|"null"} [spans] When present, cells with a `colspan`
+ *      or `rowspan` are expanded so that each value is in its logical
+ *      column. Use `"repeat"` to repeat the value of a spanning cell in every
+ *      position it covers or `"null"` to use `null` after the first position.
+ * @property {number} [headerRows] The number of rows at the start of the
+ *      body to treat as head rows. By default, the first row of a table
+ *      without a `<thead>` is a head row if it contains only `<th>` cells.
  * @property {Array<SchemaDef>} head An array of schema definitions for the
  *      cells in the `<thead>` element.
- * @property {Array<SchemaDef>} body An array of schema definitions for the
- *      cells in the `<tbody>` element.
- * @property {Array<SchemaDef>} foot An array of schema definitions for the
- *      cells in the `<tfoot>` element.
+ * @property {ColumnDefs} body The schema definitions for the cells in the
+ *      `<tbody>` element.
+ * @property {ColumnDefs} foot The schema definitions for the cells in the
+ *      `<tfoot>` element.
+ *
+ * @typedef {Object} CellPosition
+ * @property {number} row The index of the row containing the cell.
+ * @property {number} cell The index of the cell within its row.
+ * @property {boolean} origin True if this is the first position the cell
+ *      covers, false if the cell spans into this position.
+ *
+ * @typedef {Array<SchemaDef>|Object<string,SchemaDef>} ColumnDefs An array
+ *      of schema definitions for each column by index or an object of schema
+ *      definitions for each column by name or index.
  *
  * @typedef {Object} TableObject
  * @property {Array<JSONValue>} head An array of values extracted from the
@@ -86,51 +258,1264 @@ import { stringToBoolean, stringToNumber, identity } from "./converters.js";
  */
 
 //-----------------------------------------------------------------------------
-// Helpers
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Custom schema types registered with `registerSchemaType()`.
+ * @type {Object<string,Function>}
+ */
+const registeredTypes = {};
+
+/**
+ * The schema definition for table cells without one.
+ * @type {SchemaDef}
+ */
+const defaultCellDef = { type: "string" };
+
+/**
+ * The selectors for the rows in each section of a table, relative to the
+ * table. Rows that aren't inside of a section element belong to the body.
+ * @type {Object<string,string>}
+ */
+const tableRowSelectors = {
+    head: ":scope > thead > tr",
+    body: ":scope > tbody > tr, :scope > tr",
+    foot: ":scope > tfoot > tr"
+};
+
+/**
+ * The attributes to read by default for each schema type, in order of
+ * preference, when neither `attribute` nor `property` is specified.
+ * @type {Object<string,Array<string>>}
+ */
+const typeAttributes = {
+    date: ["datetime"],
+    url: ["href", "src", "action"]
+};
+
+/**
+ * Extracts the most useful text from an element given its tag name, or the
+ * value of a specific attribute or property when one is given.
+ * Note: This function is used in the context of a Puppeteer page.
+ * @param {HTMLElement} element The element to extract text from. 
+ * @param {TextOptions} [options] Options for which value to extract.
+ * @returns {string} The text from the element.
+ */
+export function extractText(element, { attribute, property, defaultAttributes = [], resolve = false } = {}) {
+
+    if (!element) {
+        return undefined;
+    }
+
+    const name = attribute || (property ? undefined : defaultAttributes.find(value => element.hasAttribute(value)));
+    let text;
+
+    if (name) {
+        text = element.hasAttribute(name) ? element.getAttribute(name) : undefined;
+    } else if (property) {
+        text = element[property] === null ? undefined : element[property];
+    } else {
+        switch (element.tagName) {
+            case "IMG":
+                text = element.alt;
+                break;
+
+            case "META":
+                text = element.content;
+                break;
+
+            case "SELECT":
+            case "TEXTAREA":
+            case "INPUT":
+                text = element.value;
+                break;
+
+            default:
+                text = element.innerText;
+        }
+    }
+
+    if (resolve && typeof text === "string") {
+        try {
+            return new URL(text, element.baseURI).href;
+        } catch (ex) {
+            return text;
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Reads the text for a primitive definition.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Page|ElementHandle} root The page or element handle to query from.
+ * @param {SchemaDef} def The schema definition for the value.
+ * @returns {Promise<{handle:Page|ElementHandle|undefined,text:string|undefined}>}
+ *      The element and its text. Both are `undefined` if an optional element
+ *      wasn't found.
+ */
+async function readText(context, root, def) {
+    const { driver, trace, raw } = context.extraction;
+    const handle = await findHandle(context, root, def.selector, def.optional);
+
+    if (!handle) {
+        return { handle, text: undefined };
+    }
+
+    const text = await driver.evaluate(handle, extractText, getTextOptions(def));
+
+    if (trace) {
+        traceText(trace, text);
+    }
+
+    if (raw) {
+        raw.text = text;
+    }
+
+    return { handle, text };
+}
+
+/**
+ * Finds the element for a definition, using the root itself when there's
+ * no selector.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Page|ElementHandle} root The page or element handle to query from.
+ * @param {string} [selector] The CSS selector to locate the element.
+ * @param {boolean} [optional=false] Indicates if the selector may not exist.
+ * @returns {Promise<Page|ElementHandle|undefined>} The element handle or
+ *      `undefined` if an optional element wasn't found.
+ * @throws {Error} If a required element wasn't found.
+ */
+async function findHandle(context, root, selector, optional) {
+
+    if (!selector) {
+        return root;
+    }
+
+    const { driver, page, trace } = context.extraction;
+    const handle = await queryOne(driver, root, selector);
+
+    if (trace) {
+        traceMatch(trace, page, {
+            selector,
+            count: handle ? (await queryAll(driver, root, selector)).length : 0,
+            handles: handle ? [handle] : []
+        });
+    }
+
+    if (!handle) {
+        if (optional) {
+            return undefined;
+        }
+
+        throwNotFound(context, selector);
+    }
+
+    return handle;
+}
+
+/**
+ * Formats a selector or list of fallback selectors for an error message.
+ * @param {string|Array<string>} selector The selector or selectors.
+ * @returns {string} The quoted selectors, such as `"h1" or ".title"`.
+ */
+function quoteSelectors(selector) {
+    return [].concat(selector).map(item => `"${item}"`).join(" or ");
+}
+
+/**
+ * Describes a switch case condition for an error message.
+ * @param {string|CaseCondition} condition The condition.
+ * @returns {string} The description, such as `"h1" equal to "Sold out"`.
+ */
+function describeCondition(condition) {
+
+    if (typeof condition === "string") {
+        return `"${condition}"`;
+    }
+
+    const { selector, attribute, equals, matches, count, url } = condition;
+    const parts = [];
+
+    if (selector) {
+        parts.push(`"${selector}"`);
+    }
+
+    if (attribute) {
+        parts.push(`with attribute "${attribute}"`);
+    }
+
+    if (typeof equals !== "undefined") {
+        parts.push(`equal to "${equals}"`);
+    }
+
+    if (typeof matches !== "undefined") {
+        parts.push(`matching ${new RegExp(matches)}`);
+    }
+
+    if (typeof count !== "undefined") {
+        parts.push(`count ${JSON.stringify(count)}`);
+    }
+
+    if (typeof url !== "undefined") {
+        parts.push(`URL matching ${new RegExp(url)}`);
+    }
+
+    return parts.join(" ");
+}
+
+/**
+ * Determines if a number of elements satisfies the `count` of a switch
+ * case condition.
+ * @param {number} length The number of elements.
+ * @param {number|{min:number,max:number}} count The exact number or the
+ *      fewest and most elements.
+ * @returns {boolean} True if the number of elements is allowed.
+ */
+function isCountMatch(length, count) {
+
+    if (typeof count === "number") {
+        return length === count;
+    }
+
+    const { min = 0, max = Infinity } = count;
+    return length >= min && length <= max;
+}
+
+/**
+ * Tests the condition of a switch case. A selector matches when an element
+ * exists, while a `CaseCondition` matches when all of its tests pass.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Page|ElementHandle} root The page or element handle to query from.
+ * @param {string|CaseCondition} condition The condition to test.
+ * @returns {Promise<boolean>} True if the condition matches.
+ */
+async function matchesCondition(context, root, condition) {
+    const { driver, url: pageUrl } = context.extraction;
+
+    if (typeof condition === "string") {
+        return Boolean(await queryOne(driver, root, condition));
+    }
+
+    const { selector, attribute, equals, matches, count, url } = condition;
+
+    if (typeof url !== "undefined" && !new RegExp(url).test(pageUrl)) {
+        return false;
+    }
+
+    if (!selector) {
+        return true;
+    }
+
+    const handles = await queryAll(driver, root, selector);
+
+    if (typeof count !== "undefined" ? !isCountMatch(handles.length, count) : !handles.length) {
+        return false;
+    }
+
+    if (typeof equals === "undefined" && typeof matches === "undefined") {
+        return true;
+    }
+
+    if (!handles.length) {
+        return false;
+    }
+
+    const text = await driver.evaluate(handles[0], extractText, getTextOptions({ type: "string", attribute }));
+
+    if (typeof text !== "string") {
+        return false;
+    }
+
+    return (typeof equals === "undefined" || text.trim() === equals) &&
+        (typeof matches === "undefined" || new RegExp(matches).test(text));
+}
+
+/**
+ * Throws an error saying the selector wasn't found.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {string} selector The selector that couldn't be found. 
+ * @returns {void}
+ * @throws {ExtractionError} Always.
+ */
+function throwNotFound(context, selector) {
+    throw createExtractionError(context, `Element matching "${selector}" could not be found.`, {
+        code: "ELEMENT_NOT_FOUND",
+        selector
+    });
+}
+
+/**
+ * Reads the column names from the cells in a row of a table.
+ * @param {Driver} driver The driver for the page.
+ * @param {Array<ElementHandle|undefined>} cellHandles The cell in each
+ *      column of the row.
+ * @returns {Promise<Array<string>>} The trimmed text of each cell.
+ */
+async function readColumnNames(driver, cellHandles) {
+    const names = [];
+
+    for (const cellHandle of cellHandles) {
+        const text = cellHandle ? await driver.evaluate(cellHandle, extractText) : undefined;
+        names.push(typeof text === "string" ? text.trim() : "");
+    }
+
+    return names;
+}
+
+/**
+ * Reads the `colSpan` and `rowSpan` of each cell in a table row.
+ * Note: This function is used in the context of a Puppeteer page.
+ * @param {HTMLTableRowElement} row The row to read from.
+ * @returns {Array<Array<number>>} The column span and row span of each cell.
+ */
+function readSpans(row) {
+    return Array.from(row.querySelectorAll("td,th"), cell => [cell.colSpan, cell.rowSpan]);
+}
+
+/**
+ * Determines if a table row contains only header cells.
+ * Note: This function is used in the context of a Puppeteer page.
+ * @param {HTMLTableRowElement} row The row to check.
+ * @returns {boolean} True if the row has at least one cell and every cell
+ *      is a `<th>` element.
+ */
+function isHeaderRow(row) {
+    const cells = Array.from(row.children);
+    return cells.length > 0 && cells.every(cell => cell.tagName === "TH");
+}
+
+/**
+ * Determines how many rows at the start of a table body are header rows.
+ * When `headerRows` isn't specified, the first row of a table without
+ * a `<thead>` is a header row if it contains only `<th>` cells.
+ * @param {Driver} driver The driver for the page.
+ * @param {Object<string,Array<ElementHandle>>} rowHandles The rows in each
+ *      section of the table.
+ * @param {number} [headerRows] The number of header rows from the schema.
+ * @returns {Promise<number>} The number of header rows in the body.
+ */
+async function countHeaderRows(driver, { head, body }, headerRows) {
+
+    if (typeof headerRows === "number") {
+        return headerRows;
+    }
+
+    if (head.length || !body.length) {
+        return 0;
+    }
+
+    return await driver.evaluate(body[0], isHeaderRow) ? 1 : 0;
+}
+
+/**
+ * Reads where the link or button to the next page leads.
+ * Note: This function is used in the context of a Puppeteer page.
+ * @param {HTMLElement} element The link or button.
+ * @returns {string|null} The absolute URL for a link, an empty string for
+ *      any other element, or `null` if the element is disabled.
+ */
+function readNextLink(element) {
+
+    if (element.disabled || element.getAttribute("aria-disabled") === "true") {
+        return null;
+    }
+
+    // text selectors may match an element inside of the link
+    const link = element.closest("a[href]");
+
+    return link ? link.href : "";
+}
+
+/**
+ * Throws an error when the driver for the page can't do something, such as
+ * loading another page when extracting from static HTML.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {string} method The driver method that's required.
+ * @param {string} action A description of what requires the method.
+ * @returns {void}
+ * @throws {ExtractionError} If the driver doesn't have the method.
+ */
+function assertDriverSupport(context, method, action) {
+    const { driver } = context.extraction;
+
+    if (typeof driver[method] !== "function") {
+        throw createExtractionError(context, `${action} isn't supported by the "${driver.name}" driver.`, {
+            code: "NOT_SUPPORTED"
+        });
+    }
+}
+
+/**
+ * Opens a new page in the same browser as the page being extracted from.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {string} url The URL to load in the new page.
+ * @returns {Promise<Page>} The new page.
+ * @throws {ExtractionError} If the driver can't open pages.
+ */
+function openPage(context, url) {
+    const { driver, page } = context.extraction;
+
+    assertDriverSupport(context, "openPage", "Loading another page");
+
+    return driver.openPage(page, url);
+}
+
+/**
+ * Closes a page opened by `openPage()`, if the driver can.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Page} page The page to close.
+ * @returns {Promise<void>}
+ */
+async function closePage(context, page) {
+    const { driver } = context.extraction;
+
+    if (typeof driver.closePage === "function") {
+        await driver.closePage(page);
+    }
+}
+
+/**
+ * Creates a context for extracting from another page that shares the path
+ * and errors of the original context.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Page} page The other page.
+ * @returns {Object} The schema types object for the other page.
+ */
+function createPageContext(context, page) {
+    const pageContext = Object.create(context);
+
+    pageContext.extraction = {
+        ...context.extraction,
+        page,
+        url: context.extraction.driver.url(page),
+        selectors: []
+    };
+
+    return pageContext;
+}
+
+/**
+ * Extracts an item for each element and adds it to the end of an array.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Array<ElementHandle>} itemHandles The elements for each item.
+ * @param {ArraySchemaDef} def The schema definition for the array.
+ * @param {Array<Object>} result The array to add items to.
+ * @returns {Promise<void>}
+ */
+async function extractItems(context, itemHandles, { selector, items }, result) {
+    const { path, selectors } = context.extraction;
+
+    selectors.push(selector);
+
+    for (const itemHandle of itemHandles) {
+        path.push(result.length);
+        result.push(await extractProperties(context, itemHandle, items));
+        path.pop();
+    }
+
+    selectors.pop();
+}
+
+/**
+ * Follows the next page link or button of a paginated array in a new page,
+ * adding the items on each page to the end of the array. The original
+ * page is left as-is so the rest of the schema can still be extracted.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {ArraySchemaDef} def The schema definition for the array.
+ * @param {Array<Object>} result The items from the first page.
+ * @returns {Promise<void>}
+ */
+async function extractNextPages(context, def, result) {
+    const { next, maxPages = Infinity, stop } = def.paginate;
+    const { driver, page } = context.extraction;
+    const visited = new Set([driver.url(page)]);
+    let currentPage = page;
+    let newPage;
+
+    try {
+        for (let pageNumber = 1; pageNumber < maxPages; pageNumber++) {
+
+            if (stop && await stop({ items: result, pageNumber, url: driver.url(currentPage) })) {
+                break;
+            }
+
+            let nextHandle = await queryOne(driver, currentPage, next);
+            const link = nextHandle ? await driver.evaluate(nextHandle, readNextLink) : null;
+
+            if (link === null || visited.has(link)) {
+                break;
+            }
+
+            if (link) {
+                if (newPage) {
+                    assertDriverSupport(context, "goto", "Loading another page");
+                    await driver.goto(newPage, link);
+                } else {
+                    newPage = await openPage(context, link);
+                }
+            } else {
+                assertDriverSupport(context, "clickAndWait", "Clicking a button to load another page");
+
+                // buttons must be clicked in the new page instead
+                if (!newPage) {
+                    newPage = await openPage(context, driver.url(page));
+                    nextHandle = await queryOne(driver, newPage, next);
+
+                    // the button may have been added to the original page by a script
+                    if (!nextHandle) {
+                        throwNotFound(context, next);
+                    }
+                }
+
+                await driver.clickAndWait(newPage, nextHandle);
+            }
+
+            currentPage = newPage;
+            visited.add(driver.url(newPage));
+
+            const itemHandles = await queryAll(driver, newPage, def.selector);
+
+            if (itemHandles.length === 0) {
+                break;
+            }
+
+            await extractItems(createPageContext(context, newPage), itemHandles, def, result);
+        }
+    } finally {
+        if (newPage) {
+            await closePage(context, newPage);
+        }
+    }
+}
+
+/**
+ * Extracts a schema from the page at a URL.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {string} url The URL of the page.
+ * @param {Object<string,AnySchemaDef>} schema The schema for the page.
+ * @returns {Promise<Object>} The data extracted from the page.
+ */
+async function followLink(context, url, schema) {
+    const newPage = await openPage(context, url);
+
+    try {
+        return await extractProperties(createPageContext(context, newPage), newPage, schema);
+    } finally {
+        await closePage(context, newPage);
+    }
+}
+
+/**
+ * Finds the frame for a definition.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Page|Frame|ElementHandle} root The page, frame, or element handle
+ *      to query from.
+ * @param {string|FrameLocator} frame The CSS selector for the `<iframe>`
+ *      element or the name or URL of the frame.
+ * @param {boolean} [optional=false] Indicates if the frame may not exist.
+ * @returns {Promise<Frame|undefined>} The frame or `undefined` if an
+ *      optional frame wasn't found.
+ * @throws {ExtractionError} If a required frame wasn't found.
+ */
+async function findFrame(context, root, frame, optional) {
+
+    const { driver, page } = context.extraction;
+
+    if (typeof frame === "string") {
+        const handle = await findHandle(context, root, frame, optional);
+
+        if (handle) {
+            assertDriverSupport(context, "contentFrame", "Extracting from a frame");
+        }
+
+        const contentFrame = handle && await driver.contentFrame(handle);
+
+        if (handle && !contentFrame) {
+            throw createExtractionError(context, `Element matching "${frame}" is not a frame.`, {
+                code: "FRAME_NOT_FOUND",
+                selector: frame
+            });
+        }
+
+        context.extraction.selectors.push(frame);
+        return contentFrame || undefined;
+    }
+
+    const { name, url } = frame;
+
+    assertDriverSupport(context, "frames", "Extracting from a frame");
+
+    const result = driver.frames(page).find(candidate => {
+        if (typeof name === "string") {
+            return candidate.name === name;
+        }
+
+        return url instanceof RegExp ? url.test(candidate.url) : candidate.url.includes(url);
+    });
+
+    if (!result && !optional) {
+        const description = typeof name === "string" ? `named "${name}"` : `with URL matching ${url}`;
+
+        throw createExtractionError(context, `Frame ${description} could not be found.`, {
+            code: "FRAME_NOT_FOUND"
+        });
+    }
+
+    return result && result.frame;
+}
+
+/**
+ * Finds the frame and shadow root that a definition's selector is relative
+ * to. The frame is entered first, then the shadow root.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Page|Frame|ElementHandle} root The page, frame, or element handle
+ *      to query from.
+ * @param {AnySchemaDef} def The schema definition for the value.
+ * @returns {Promise<Page|Frame|ElementHandle|undefined>} The new root or
+ *      `undefined` if an optional frame or shadow host wasn't found.
+ * @throws {ExtractionError} If a required frame or shadow root wasn't found.
+ */
+async function enterRoot(context, root, { frame, shadow, optional }) {
+    let result = root;
+
+    if (frame) {
+        result = await findFrame(context, result, frame, optional);
+
+        if (!result) {
+            return undefined;
+        }
+    }
+
+    if (shadow) {
+        const selector = typeof shadow === "string" ? shadow : undefined;
+        const host = await findHandle(context, result, selector, optional);
+
+        if (!host) {
+            return undefined;
+        }
+
+        const { driver } = context.extraction;
+
+        if (!await driver.evaluate(host, element => Boolean(element.shadowRoot))) {
+            throw createExtractionError(context, `${selector ? `Element matching "${selector}"` : "Element"} has no open shadow root.`, {
+                code: "ELEMENT_NOT_FOUND",
+                selector
+            });
+        }
+
+        if (selector) {
+            context.extraction.selectors.push(selector);
+        }
+
+        result = await driver.evaluateHandle(host, element => element.shadowRoot);
+    }
+
+    return result;
+}
+
+/**
+ * Chooses the first selector in a list of fallback selectors that matches
+ * an element and records which one it was.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Page|Frame|ElementHandle} root The page, frame, or element handle
+ *      to query from.
+ * @param {AnySchemaDef} def The schema definition with the selectors.
+ * @returns {Promise<string>} The matching selector or, when none match and
+ *      the definition is optional, the first selector.
+ * @throws {ExtractionError} If none of the selectors match and the
+ *      definition isn't optional.
+ */
+async function chooseSelector(context, root, { selector: candidates, optional }) {
+    const { path, selectorMatches } = context.extraction;
+    let index = -1;
+
+    for (let i = 0; i < candidates.length && index === -1; i++) {
+        if (await queryOne(context.extraction.driver, root, candidates[i])) {
+            index = i;
+        }
+    }
+
+    if (selectorMatches) {
+        selectorMatches.push({
+            path: formatPath(path),
+            selectors: [...candidates],
+            index,
+            selector: index === -1 ? null : candidates[index]
+        });
+    }
+
+    if (index > -1) {
+        return candidates[index];
+    }
+
+    if (optional) {
+        return candidates[0];
+    }
+
+    throw createExtractionError(context, `Element matching ${quoteSelectors(candidates)} could not be found.`, {
+        code: "ELEMENT_NOT_FOUND"
+    });
+}
+
+/**
+ * Waits for the element of a definition to be ready and then extracts it.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Page|ElementHandle} root The page or element handle to query from.
+ * @param {AnySchemaDef} definition The schema definition for the value.
+ * @returns {Promise<*>} The extracted value.
+ * @throws {ExtractionError} If waiting timed out.
+ */
+async function extractDefinition(context, root, definition) {
+    let def = definition.selectorType
+        ? { ...definition, selector: resolveSelector(definition.selector, definition.selectorType) }
+        : definition;
+    const innerRoot = def.frame || def.shadow ? await enterRoot(context, root, def) : root;
+
+    if (!innerRoot) {
+        return undefined;
+    }
+
+    if (def.wait) {
+        const waitOptions = getWaitOptions(def.wait, def.selector);
+
+        if (waitOptions.selector && !await waitForElement(context.extraction.driver, innerRoot, waitOptions)) {
+            throw createExtractionError(
+                context,
+                `Timed out after ${waitOptions.timeout}ms waiting for ${quoteSelectors(waitOptions.selector)}.`,
+                { code: "TIMEOUT", selector: [].concat(waitOptions.selector)[0] }
+            );
+        }
+    }
+
+    if (Array.isArray(def.selector)) {
+        def = { ...def, selector: await chooseSelector(context, innerRoot, def) };
+    }
+
+    const { extraction } = context;
+    const { raw } = extraction;
+
+    // constraint violations report the text that was read, if any
+    extraction.raw = {};
+
+    try {
+        const value = await context[def.type](innerRoot, def);
+        return checkConstraints(context, def, value, "text" in extraction.raw ? extraction.raw.text : value);
+    } finally {
+        extraction.raw = raw;
+    }
+}
+
+/**
+ * Verifies that a custom schema type can be registered.
+ * @param {string} name The name of the schema type.
+ * @param {Function} type The function that extracts data for the type.
+ * @returns {void}
+ * @throws {TypeError} If the name or function is invalid.
+ */
+function assertValidSchemaType(name, type) {
+
+    if (typeof name !== "string" || !name) {
+        throw new TypeError("Schema type name must be a non-empty string.");
+    }
+
+    if (name in schemaTypes || name === "extraction") {
+        throw new TypeError(`Schema type "${name}" is built-in and cannot be replaced.`);
+    }
+
+    if (typeof type !== "function") {
+        throw new TypeError(`Schema type "${name}" must be a function.`);
+    }
+}
+
+//-----------------------------------------------------------------------------
+// Functions
 //-----------------------------------------------------------------------------
 
 /**
- * Extracts the most useful text from an element given its tag name.
- * Note: This function is used in the context of a Puppeteer page.
- * @param {HTMLElement} element The element to extract text from. 
- * @returns {string} The text from the element.
+ * Determines which value to read from the element for a primitive definition.
+ * @param {SchemaDef} def The schema definition for the value.
+ * @returns {TextOptions} The options to pass to `extractText()`.
+ */
+export function getTextOptions({ type, attribute, property }) {
+    return {
+        attribute,
+        property,
+        defaultAttributes: attribute || property ? [] : typeAttributes[type] || [],
+        resolve: type === "url"
+    };
+}
+
+/**
+ * Converts text for a `number` definition into a number.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {string|number|undefined} text The text to convert.
+ * @param {NumberSchemaDef} def The schema definition for the value.
+ * @returns {number|undefined} The number or `undefined` if there's no text
+ *      or optional text isn't a number.
+ * @throws {ExtractionError} If required text isn't a number.
  */
-function extractText(element) {
+export function textToNumber(context, text, { optional, locale, decimal, grouping }) {
 
-    if (!element) {
+    // properties such as valueAsNumber are already numbers
+    if (typeof text === "number") {
+        return text;
+    }
+
+    if (typeof text !== "string") {
+        return undefined;
+    }
+
+    const value = stringToNumber(text, { locale, decimal, grouping });
+
+    if (Number.isNaN(value)) {
+        if (optional) {
+            return undefined;
+        }
+
+        throw createExtractionError(context, `"${text}" could not be parsed as a number.`, {
+            code: "INVALID_VALUE"
+        });
+    }
+
+    return value;
+}
+
+/**
+ * Converts text for a `date` definition into an ISO 8601 date string.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {string|undefined} text The text to convert.
+ * @param {DateSchemaDef} def The schema definition for the value.
+ * @returns {string|undefined} The date string or `undefined` if there's
+ *      no text or optional text isn't a date.
+ * @throws {ExtractionError} If required text isn't a date.
+ */
+export function textToDate(context, text, { optional, formats }) {
+
+    if (typeof text !== "string") {
         return undefined;
     }
 
-    switch (element.tagName) {
-        case "IMG":
-            return element.alt;
+    const value = stringToDate(text, formats);
+
+    if (typeof value === "undefined") {
+        if (optional) {
+            return undefined;
+        }
+
+        throw createExtractionError(context, `"${text}" could not be parsed as a date.`, {
+            code: "INVALID_VALUE"
+        });
+    }
+
+    return value;
+}
+
+/**
+ * Applies the pattern of a `match` definition to text.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {string|undefined} text The text to search.
+ * @param {MatchSchemaDef} def The schema definition for the value.
+ * @returns {string|Object<string,string>|undefined} The matched values or
+ *      `undefined` if there's no text or an optional pattern didn't match.
+ * @throws {ExtractionError} If a required pattern didn't match.
+ */
+export function textToMatch(context, text, { pattern, groups, optional }) {
 
-        case "META":
-            return element.content;
+    if (typeof text !== "string") {
+        return undefined;
+    }
 
-        case "SELECT":
-        case "TEXTAREA":
-        case "INPUT":
-            return element.value;
+    const value = matchString(text, pattern, groups);
 
-        default:
-            return element.innerText;
+    if (typeof value === "undefined" && !optional) {
+        throw createExtractionError(context, `"${text}" does not match ${new RegExp(pattern)}.`, {
+            code: "NO_MATCH"
+        });
     }
+
+    return value;
 }
 
 /**
- * Throws an error saying the selector wasn't found.
- * @param {string} selector The selector that couldn't be found. 
+ * Creates a function that returns the schema definition for a table cell.
+ * Cells without a definition use `{ type: "string" }`.
+ * @param {ColumnDefs} [defs] The schema definitions for the columns.
+ * @returns {(index:number, name?:string) => SchemaDef} A function that
+ *      returns the definition for the cell at the given column index and
+ *      with the given column name.
+ */
+export function createCellDefs(defs = []) {
+
+    if (Array.isArray(defs)) {
+        const cellDefs = new ArrayWithDefault({
+            elements: defs,
+            default: defaultCellDef,
+            outOfRange: true
+        });
+
+        return index => cellDefs[index];
+    }
+
+    return (index, name) => {
+        if (name && Object.prototype.hasOwnProperty.call(defs, name)) {
+            return defs[name];
+        }
+
+        if (Object.prototype.hasOwnProperty.call(defs, index)) {
+            return defs[index];
+        }
+
+        return defaultCellDef;
+    };
+}
+
+/**
+ * Lays out the cells in the rows of a table section into a grid of logical
+ * rows and columns, so that a cell with a `colspan` or `rowspan` occupies
+ * every position it covers.
+ * @param {Array<Array<Array<number>>>} spans The column span and row span of
+ *      each cell in each row.
+ * @returns {Array<Array<CellPosition|undefined>>} The cell at each position
+ *      in each row. Positions not covered by any cell are `undefined`.
+ */
+export function createCellGrid(spans) {
+    const grid = spans.map(() => []);
+
+    spans.forEach((cells, rowIndex) => {
+        let column = 0;
+
+        cells.forEach(([colSpan, rowSpan], cellIndex) => {
+            const columnCount = Math.max(colSpan, 1);
+            const lastRow = rowSpan === 0
+                ? spans.length
+                : Math.min(spans.length, rowIndex + Math.max(rowSpan, 1));
+
+            while (grid[rowIndex][column]) {
+                column++;
+            }
+
+            for (let row = rowIndex; row < lastRow; row++) {
+                for (let i = column; i < column + columnCount; i++) {
+                    grid[row][i] = {
+                        row: rowIndex,
+                        cell: cellIndex,
+                        origin: row === rowIndex && i === column
+                    };
+                }
+            }
+
+            column += columnCount;
+        });
+    });
+
+    return grid;
+}
+
+/**
+ * Determines the column names needed by a table definition.
+ * @param {TableSchemaDef} def The schema definition for the table.
+ * @returns {"head"|Array<string>|undefined} `"head"` if the names must be
+ *      read from the last row of the head, an array of names, or
+ *      `undefined` if no names are needed.
+ */
+export function getColumnNamesSource({ keys, body, foot }) {
+
+    if (Array.isArray(keys)) {
+        return keys;
+    }
+
+    const byName = [body, foot].some(defs => defs && !Array.isArray(defs));
+
+    return keys === "head" || byName ? "head" : undefined;
+}
+
+/**
+ * Determines if a schema type with the given name exists.
+ * @param {Object<string,Function>} types The schema types to search.
+ * @param {string} name The name of the schema type.
+ * @returns {boolean} True if the schema type exists.
+ */
+export function hasSchemaType(types, name) {
+    return typeof name === "string" &&
+        !(name in Object.prototype) &&
+        typeof types[name] === "function";
+}
+
+/**
+ * Registers a custom schema type globally so that it is included in every
+ * object returned from `createSchemaTypes()`.
+ * @param {string} name The name of the schema type.
+ * @param {Function} type The function that extracts data for the type.
  * @returns {void}
- * @throws {Error} Always.
+ * @throws {TypeError} If the name is already in use or the type isn't
+ *      a function.
  */
-function throwNotFound(selector) {
-    throw new Error(`Element matching "${selector}" could not be found.`);
+export function registerSchemaType(name, type) {
+    assertValidSchemaType(name, type);
+
+    if (name in registeredTypes) {
+        throw new TypeError(`Schema type "${name}" is already registered.`);
+    }
+
+    registeredTypes[name] = type;
 }
 
-//-----------------------------------------------------------------------------
-// Functions
-//-----------------------------------------------------------------------------
+/**
+ * Creates an object containing the built-in schema types along with any
+ * registered and custom schema types. Because the built-in types dispatch
+ * nested definitions through `this`, custom types can be used anywhere a
+ * built-in type can.
+ * @param {Object<string,Function>} [customTypes] The custom schema types.
+ *      These take precedence over registered schema types with the same name.
+ * @returns {Object<string,Function>} An object containing all schema types.
+ * @throws {TypeError} If a custom schema type is invalid.
+ */
+export function createSchemaTypes(customTypes = {}) {
+    const types = Object.create(schemaTypes);
+
+    Object.assign(types, registeredTypes);
+
+    for (const [name, type] of Object.entries(customTypes)) {
+        assertValidSchemaType(name, type);
+        types[name] = type;
+    }
+
+    return types;
+}
+
+/**
+ * Creates the object used as `this` for all schema types during a single
+ * extraction. It inherits all of the schema types and adds an `extraction`
+ * property that tracks where in the schema and page the extraction is.
+ * @param {Object<string,Function>} types The schema types to use.
+ * @param {Page} page The page being extracted from.
+ * @param {ExtractionContextOptions} options Options for the extraction.
+ * @returns {Object} The schema types object for the extraction.
+ */
+export function createExtractionContext(types, page, { collectErrors = false, reportSelectors = false, driver, trace = null }) {
+    const context = Object.create(types);
+
+    /** @type {ExtractionState} */
+    context.extraction = {
+        page,
+        driver,
+        url: driver.url(page),
+        path: [],
+        selectors: [],
+        errors: collectErrors ? [] : null,
+        selectorMatches: reportSelectors ? [] : null,
+        parent: null,
+        trace,
+        raw: null
+    };
+
+    return context;
+}
+
+/**
+ * Creates an `ExtractionError` for the current location in the extraction.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {string} message A description of the failure.
+ * @param {Object} [options] Details about the failure.
+ * @param {string} [options.code] A code identifying the kind of failure.
+ * @param {string} [options.selector] The selector that failed, if any.
+ * @param {Error} [options.cause] The error that caused the failure, if any.
+ * @param {*} [options.value] The value that failed, if any.
+ * @returns {ExtractionError} The error.
+ */
+export function createExtractionError(context, message, { code, selector, cause, value } = {}) {
+    const { path, selectors, url } = context.extraction;
+
+    return new ExtractionError(message, {
+        code,
+        path,
+        selectors: selector ? [...selectors, selector] : selectors,
+        url,
+        cause,
+        value
+    });
+}
+
+/**
+ * Handles an error thrown while extracting a value. When errors are being
+ * collected, the error is recorded (wrapped in an `ExtractionError` if
+ * necessary) and `undefined` is returned; otherwise the error is rethrown.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Error} error The error that was thrown.
+ * @returns {undefined} When errors are being collected.
+ * @throws {Error} When errors are not being collected.
+ */
+export function collectError(context, error) {
+    const { errors } = context.extraction;
+
+    if (!errors) {
+        throw error;
+    }
+
+    errors.push(error instanceof ExtractionError
+        ? error
+        : createExtractionError(context, error.message, { cause: error }));
+
+    return undefined;
+}
+
+/**
+ * Creates the context passed to `convert` and `compute` functions.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Page|ElementHandle|null} handle The element the value was
+ *      extracted from.
+ * @returns {ConvertContext} The context.
+ */
+function createConvertContext(context, handle) {
+    const { page, url, path, parent } = context.extraction;
+
+    return {
+        page,
+        url,
+        handle: handle || null,
+        parent,
+        path: formatPath(path)
+    };
+}
+
+/**
+ * Runs the `convert` function of a definition, if any, on an extracted value.
+ * The function receives the value and a `ConvertContext` and may return a
+ * promise.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {AnySchemaDef} def The schema definition for the value.
+ * @param {*} value The extracted value.
+ * @param {Page|ElementHandle|null} handle The element the value was
+ *      extracted from.
+ * @returns {Promise<*>} The converted value.
+ */
+export async function convertValue(context, def, value, handle) {
+
+    if (!def.convert) {
+        return value;
+    }
+
+    return def.convert(value, createConvertContext(context, handle));
+}
+
+/**
+ * Verifies that a value meets the constraints of its definition. A missing
+ * optional value doesn't need to meet any constraints.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {AnySchemaDef} def The schema definition for the value.
+ * @param {*} value The converted value.
+ * @param {*} [raw] The value as it was read from the page, which is reported
+ *      when a constraint isn't met. Defaults to the converted value.
+ * @returns {*} The value.
+ * @throws {ExtractionError} If the value doesn't meet a constraint.
+ */
+export function checkConstraints(context, def, value, raw = value) {
+
+    if (!def.constraints || (def.optional && typeof value === "undefined")) {
+        return value;
+    }
+
+    const message = findViolation(value, def.constraints, raw);
+
+    if (message) {
+        throw createExtractionError(context, message, { code: "CONSTRAINT_VIOLATION", value: raw });
+    }
+
+    return value;
+}
+
+/**
+ * Prepares to extract an object of definitions. Computed values are
+ * extracted last so that they can use all of the other values, and the
+ * result starts with a key for every definition so that it keeps the order
+ * of the schema.
+ * @param {Object<string,AnySchemaDef>} defs The schema definitions.
+ * @returns {{result:Object<string,*>,entries:Array<[string,AnySchemaDef]>}}
+ *      The empty result and the definitions in the order to extract them.
+ */
+export function prepareProperties(defs) {
+    const entries = Object.entries(defs);
+    const isComputed = ([, def]) => Boolean(def) && def.type === "computed";
+    const result = {};
+
+    for (const [key] of entries) {
+        result[key] = undefined;
+    }
+
+    return {
+        result,
+        entries: entries.filter(entry => !isComputed(entry)).concat(entries.filter(isComputed))
+    };
+}
+
+/**
+ * Extracts the value for a nested definition, tracking its location so
+ * that errors can report the full path.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Page|ElementHandle} root The page or element handle to query from.
+ * @param {AnySchemaDef} def The schema definition for the value.
+ * @param {string|number} segment The key or index of the value.
+ * @returns {Promise<*>} The extracted value.
+ */
+export async function extractValue(context, root, def, segment) {
+    const { extraction } = context;
+    const { path, selectors, parent, trace } = extraction;
+    const pathDepth = path.length;
+    const selectorsDepth = selectors.length;
+
+    path.push(segment);
+
+    const traceNode = trace ? enterTraceNode(trace, formatPath(path), def) : null;
+
+    try {
+        const value = await extractDefinition(context, root, def);
+
+        if (traceNode) {
+            traceNode.value = value;
+        }
+
+        return value;
+    } catch (ex) {
+        if (traceNode) {
+            traceNode.error = ex.message;
+        }
+
+        return collectError(context, ex);
+    } finally {
+        path.length = pathDepth;
+        selectors.length = selectorsDepth;
+        extraction.parent = parent;
+
+        if (traceNode) {
+            exitTraceNode(trace);
+        }
+    }
+}
+
+/**
+ * Extracts the value for each definition in an object of definitions.
+ * @param {Object} context The schema types object for the extraction.
+ * @param {Page|ElementHandle} root The page or element handle to query from.
+ * @param {Object<string,AnySchemaDef>} defs The schema definitions.
+ * @returns {Promise<Object<string,*>>} The extracted values.
+ */
+export async function extractProperties(context, root, defs) {
+    const { extraction } = context;
+    const { parent } = extraction;
+    const { result, entries } = prepareProperties(defs);
+
+    extraction.parent = result;
+
+    for (const [key, def] of entries) {
+        result[key] = await extractValue(context, root, def, key);
+    }
+
+    extraction.parent = parent;
+    return result;
+}
 
 export const schemaTypes = {
 
@@ -141,36 +1526,54 @@ export const schemaTypes = {
      * @returns {Array} An array of data matching the definition.
      * @throws {TypeError} If required information is missing.
      */
-    async array(root, { selector, optional, items, convert = identity }) {
+    async array(root, def) {
+        const { selector, optional, items, paginate } = def;
 
         if (typeof items === "undefined") {
             throw new TypeError(`Array definition for "${selector}" is missing "items" property.`);
         }
 
-        const itemHandles = await root.$$(selector);
+        const { driver, page, trace } = this.extraction;
+        const itemHandles = await queryAll(driver, root, selector);
+
+        if (trace) {
+            traceMatch(trace, page, { selector, count: itemHandles.length, handles: itemHandles });
+        }
 
         if (itemHandles.length === 0) {
             if (optional) {
                 return undefined;
             }
 
-            throwNotFound(selector);
+            throwNotFound(this, selector);
         }
 
-        const itemEntries = Object.entries(items);
         const result = [];
 
-        for (const itemHandle of itemHandles) {
-            const item = {};
+        await extractItems(this, itemHandles, { selector, items }, result);
 
-            for (const [key, desc] of itemEntries) {
-                item[key] = await this[desc.type](itemHandle, desc);
-            }
+        if (paginate) {
+            await extractNextPages(this, { selector, items, paginate }, result);
+        }
+
+        return convertValue(this, def, result, root);
+    },
+
+    /**
+     * Computes a value from the values of its siblings.
+     * @param {Page|ElementHandle} root The page or element handle to query from.
+     * @param {ComputedSchemaDef} def The schema definition for the value.
+     * @returns {*} The value returned from `compute()`.
+     * @throws {TypeError} If required information is missing.
+     */
+    async computed(root, def) {
 
-            result.push(item);
+        if (typeof def.compute !== "function") {
+            throw new TypeError("Computed definition is missing compute() method.");
         }
 
-        return convert(result);
+        const value = await def.compute(this.extraction.parent, createConvertContext(this, null));
+        return convertValue(this, def, value, null);
     },
 
     /**
@@ -179,28 +1582,21 @@ export const schemaTypes = {
      * @param {ArraySchemaDef} def The schema definition for the custom value.
      * @returns {*} The value returned from Puppeteer.
      */
-    async custom(root, { selector, optional, extract, convert = identity }) {
+    async custom(root, def) {
+        const { selector, optional, extract } = def;
 
         if (typeof extract !== "function") {
             throw new TypeError("Custom schema type must have extract() method.");
         }
 
-        let handle = root;
-
-        if (selector) {
-            handle = await root.$(selector);
-
-            if (!handle) {
-                if (optional) {
-                    return undefined;
-                }
+        const handle = await findHandle(this, root, selector, optional);
 
-                throwNotFound(selector);
-            }
+        if (!handle) {
+            return undefined;
         }
 
-        let value = await handle.evaluate(extract, handle);
-        return convert(value);
+        const value = await this.extraction.driver.evaluate(handle, extract, handle);
+        return convertValue(this, def, value, handle);
     },
 
     /**
@@ -209,9 +1605,33 @@ export const schemaTypes = {
      * @param {SchemaDef} def The schema definition for the array.
      * @returns {boolean} A boolean value representing the data.
      */
-    async boolean(root, { selector, optional, convert = identity }) {
-        const value = await this.string(root, { selector, optional });
-        return convert(stringToBoolean(value));
+    async boolean(root, def) {
+        const { handle, text } = await readText(this, root, def);
+        return convertValue(this, def, stringToBoolean(text), handle);
+    },
+
+    /**
+     * Creates an ISO 8601 date string from the given schema definition and root.
+     * @param {Page|ElementHandle} root The page or element handle to query from.
+     * @param {DateSchemaDef} def The schema definition for the date.
+     * @returns {string} A date string representing the data.
+     */
+    async date(root, def) {
+        const { handle, text } = await readText(this, root, def);
+        const value = textToDate(this, text, def);
+        return typeof value === "undefined" ? value : convertValue(this, def, value, handle);
+    },
+
+    /**
+     * Extracts values from text using a regular expression.
+     * @param {Page|ElementHandle} root The page or element handle to query from.
+     * @param {MatchSchemaDef} def The schema definition for the match.
+     * @returns {string|Object<string,string>} The matched values.
+     */
+    async match(root, def) {
+        const { handle, text } = await readText(this, root, def);
+        const value = textToMatch(this, text, def);
+        return typeof value === "undefined" ? value : convertValue(this, def, value, handle);
     },
 
     /**
@@ -220,9 +1640,10 @@ export const schemaTypes = {
      * @param {SchemaDef} def The schema definition for the array.
      * @returns {number} A number value representing the data.
      */
-    async number(root, { selector, optional, convert = identity }) {
-        const value = await this.string(root, { selector, optional });
-        return convert(stringToNumber(value));
+    async number(root, def) {
+        const { handle, text } = await readText(this, root, def);
+        const value = textToNumber(this, text, def);
+        return typeof value === "undefined" ? value : convertValue(this, def, value, handle);
     },
 
     /**
@@ -231,26 +1652,27 @@ export const schemaTypes = {
      * @param {ObjectSchemaDef} def The schema definition for the array.
      * @returns {Object<string,*>} An object of data matching the definition.
      */
-    async object(root, { selector, optional, properties, convert = identity }) {
-        const handle = selector ? await root.$(selector) : root;
+    async object(root, def) {
+        const { selector, optional, properties } = def;
+        const handle = await findHandle(this, root, selector, optional);
 
         if (!handle) {
-            if (optional) {
-                return undefined;
-            }
-
-            throwNotFound(selector);
+            return undefined;
         }
 
-        const propertyEntries = Object.entries(properties);
+        const { selectors } = this.extraction;
+
+        if (selector) {
+            selectors.push(selector);
+        }
 
-        const result = {};
+        const result = await extractProperties(this, handle, properties);
 
-        for (const [key, desc] of propertyEntries) {
-            result[key] = await this[desc.type](handle, desc);
+        if (selector) {
+            selectors.pop();
         }
 
-        return convert(result);
+        return convertValue(this, def, result, handle);
     },
 
     /**
@@ -259,38 +1681,54 @@ export const schemaTypes = {
      * @param {SchemaDef} def The schema definition for the array.
      * @returns {string} A string value representing the data.
      */
-    async string(root, { selector, optional, convert = identity } = {}) {
+    async string(root, def) {
+        const { handle, text } = await readText(this, root, def);
 
-        return this.custom(root, {
-            selector,
-            optional,
-            extract: extractText,
-            convert
-        });
+        if (!handle) {
+            return undefined;
+        }
+
+        return convertValue(this, def, text, handle);
     },
 
     /**
      * Chooses the value from the first case that matches.
      * @param {Page|ElementHandle} root The page or element handle to query from.
      * @param {SwitchSchemaDef} def The schema definition for the switch.
-     * @returns {*} The value returned from the first matching case.
+     * @returns {*} The value returned from the first matching case or from
+     *      the default.
      * @throws {TypeError} If required information is missing.
+     * @throws {ExtractionError} If no cases match and there's no default.
      */
-    async switch(root, { cases }) {
+    async switch(root, def) {
+        const { cases, optional } = def;
 
         if (!Array.isArray(cases)) {
             throw new TypeError("Switch definition is missing 'cases' array.");
         }
 
+        let chosen = def.default;
+
         for (const caseDef of cases) {
-            const handle = await root.$(caseDef.if);
-            if (handle) {
-                return this[caseDef.then.type](root, caseDef.then);
+            if (await matchesCondition(this, root, caseDef.if)) {
+                chosen = caseDef.then;
+                break;
             }
         }
 
-        throw new Error("No cases matched.");
+        if (!chosen) {
+            if (optional) {
+                return undefined;
+            }
+
+            const tried = cases.map(caseDef => describeCondition(caseDef.if)).join(", ");
+
+            throw createExtractionError(this, tried ? `No cases matched. Tried ${tried}.` : "No cases matched.", {
+                code: "NO_MATCHING_CASE"
+            });
+        }
 
+        return convertValue(this, def, await extractDefinition(this, root, chosen), null);
     },
 
     /**
@@ -299,78 +1737,138 @@ export const schemaTypes = {
      * @param {TableSchemaDef} def The schema definition for the table.
      * @returns {TableObject} An object containing the data from the table.
      */
-    async table(root, { selector, head = [], body = [], foot = [], convert = identity }) {
+    async table(root, def) {
 
-        const tableHeadRowsHandles = await root.$$(`${selector} > thead > tr`);
-        const tableBodyRowsHandles = await root.$$(`${selector} > tbody > tr`);
-        const tableFootRowsHandles = await root.$$(`${selector} > tfoot > tr`);
+        const {
+            selector,
+            optional,
+            keys,
+            spans,
+            headerRows,
+            head = [],
+            body = [],
+            foot = []
+        } = def;
+        const tableHandle = await findHandle(this, root, selector, optional);
+
+        if (!tableHandle) {
+            return undefined;
+        }
+
+        const sections = [
+            ["head", head],
+            ["body", body],
+            ["foot", foot]
+        ];
+        const { extraction } = this;
+        const { driver, path, selectors, parent } = extraction;
+        const namesSource = getColumnNamesSource(def);
+        let names = Array.isArray(namesSource) ? namesSource : [];
+        const rowHandles = { head: [], body: [], foot: [] };
         const result = {
             head: [],
             body: [],
             foot: []
         };
 
-        head = new ArrayWithDefault({
-            elements: head,
-            default: { type: "string" },
-            outOfRange: true
-        });
+        // the rows of every matching table are combined
+        for (const handle of await queryAll(driver, root, selector)) {
+            const tableRowHandles = {};
 
-        body = new ArrayWithDefault({
-            elements: body,
-            default: { type: "string" },
-            outOfRange: true
-        });
+            for (const [name] of sections) {
+                tableRowHandles[name] = await driver.querySelectorAll(handle, tableRowSelectors[name]);
+            }
 
-        foot = new ArrayWithDefault({
-            elements: foot,
-            default: { type: "string" },
-            outOfRange: true
-        });
+            // header rows in the body are moved to the end of the head
+            const headerRowCount = await countHeaderRows(driver, tableRowHandles, headerRows);
+            tableRowHandles.head = tableRowHandles.head.concat(tableRowHandles.body.splice(0, headerRowCount));
+
+            for (const [name] of sections) {
+                rowHandles[name].push(...tableRowHandles[name]);
+            }
+        }
+
+        selectors.push(selector);
 
-        for (const tableRowHandle of tableHeadRowsHandles) {
-            const row = [];
-            const cellHandles = await tableRowHandle.$$("td,th");
-            let i = 0;
+        for (const [name, defs] of sections) {
+            const rowSelector = tableRowSelectors[name];
+            const tableRowsHandles = rowHandles[name];
+            const getCellDef = createCellDefs(defs);
+            const keyed = Boolean(keys) && name !== "head";
+            const cellHandles = [];
+            const rowSpans = [];
 
-            for (const cellHandle of cellHandles) {
-                const desc = head[i];
-                row.push(await this[desc.type](cellHandle, desc));
-                i++;
+            for (const tableRowHandle of tableRowsHandles) {
+                cellHandles.push(await driver.querySelectorAll(tableRowHandle, "td,th"));
+
+                if (spans) {
+                    rowSpans.push(await driver.evaluate(tableRowHandle, readSpans));
+                }
             }
 
-            result.head.push(row);
-        }
+            const grid = spans
+                ? createCellGrid(rowSpans)
+                : cellHandles.map((handles, row) => handles.map((handle, cell) => ({ row, cell, origin: true })));
+
+            path.push(name);
+            selectors.push(rowSelector, "td,th");
+
+            for (const [rowIndex, positions] of grid.entries()) {
+                const row = keyed ? {} : [];
+
+                path.push(rowIndex);
+                extraction.parent = row;
+
+                for (let i = 0; i < positions.length; i++) {
+                    const position = positions[i];
+                    const columnName = names[i];
+                    const key = keyed ? columnName || String(i) : i;
+                    let value = null;
+
+                    if (position && (position.origin || spans === "repeat")) {
+                        const cellHandle = cellHandles[position.row][position.cell];
+                        value = await extractValue(this, cellHandle, getCellDef(i, columnName), key);
+                    }
 
-        for (const tableRowHandle of tableBodyRowsHandles) {
-            const row = [];
-            const cellHandles = await tableRowHandle.$$("td,th");
-            let i = 0;
+                    row[key] = value;
+                }
 
-            for (const cellHandle of cellHandles) {
-                const desc = body[i];
-                row.push(await this[desc.type](cellHandle, desc));
-                i++;
+                path.pop();
+                extraction.parent = parent;
+                result[name].push(row);
             }
 
-            result.body.push(row);
+            path.pop();
+            selectors.length -= 2;
+
+            if (name === "head" && namesSource === "head" && grid.length) {
+                names = await readColumnNames(
+                    driver,
+                    Array.from(grid[grid.length - 1], position => position && cellHandles[position.row][position.cell])
+                );
+            }
         }
 
-        for (const tableRowHandle of tableFootRowsHandles) {
-            const row = [];
-            const cellHandles = await tableRowHandle.$$("td,th");
-            let i = 0;
+        selectors.pop();
+        return convertValue(this, def, result, tableHandle);
+    },
 
-            for (const cellHandle of cellHandles) {
-                const desc = foot[i];
-                row.push(await this[desc.type](cellHandle, desc));
-                i++;
-            }
+    /**
+     * Creates an absolute URL from the given schema definition and root, or
+     * the data from the page at that URL when there's a `follow` schema.
+     * @param {Page|ElementHandle} root The page or element handle to query from.
+     * @param {UrlSchemaDef} def The schema definition for the URL.
+     * @returns {string|Object} A URL or the data from the page at the URL.
+     */
+    async url(root, def) {
+        const { follow } = def;
+        const { handle, text } = await readText(this, root, def);
 
-            result.foot.push(row);
+        if (typeof text === "undefined") {
+            return text;
         }
 
-        return convert(result);
+        return convertValue(this, def, follow ? await followLink(this, text, follow) : text, handle);
     }
 
 };
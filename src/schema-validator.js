@@ -0,0 +1,674 @@
+/**
+ * @fileoverview Schema validation
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { createSchemaTypes, hasSchemaType } from "./schema-types.js";
+import { selectorTypes } from "./selectors.js";
+import { createConverters, createExtractors, getConvertSteps } from "./registry.js";
+import { constraintNames } from "./constraints.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {import("./errors.js").SchemaProblem} SchemaProblem
+ * @typedef {import("./schema-types.js").AnySchemaDef} AnySchemaDef
+ *
+ * @typedef {Object} ValidationState
+ * @property {Array<SchemaProblem>} problems The problems found so far.
+ * @property {Object<string,Function>} types The known schema types.
+ * @property {Object<string,Function>} converters The known converters.
+ * @property {Object<string,Function>} extractors The known extractors.
+ * @property {boolean} topLevel True if the definitions being checked are
+ *      extracted from the top of a page instead of from an element.
+ *
+ * @typedef {Object} ValidationOptions
+ * @property {Object<string,Function>} [types] Custom schema types to allow
+ *      in addition to the built-in and registered schema types.
+ * @property {Object<string,Function>} [converters] Custom converters to allow
+ *      in addition to the built-in and registered converters.
+ * @property {Object<string,Function>} [extractors] Custom extractors to allow
+ *      in addition to the registered extractors.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if a value is a plain object (not `null` or an array).
+ * @param {*} value The value to check.
+ * @returns {boolean} True if the value is an object.
+ */
+function isObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Determines if a value is a selector or a list of fallback selectors.
+ * @param {*} value The value to check.
+ * @returns {boolean} True if the value is a string or a non-empty array of
+ *      non-empty strings.
+ */
+function isSelector(value) {
+
+    if (Array.isArray(value)) {
+        return value.length > 0 && value.every(item => typeof item === "string" && item);
+    }
+
+    return typeof value === "string";
+}
+
+/**
+ * Creates the path for a key inside of a parent path.
+ * @param {string} path The parent path.
+ * @param {string} key The key to append.
+ * @returns {string} The combined path.
+ */
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validators for the properties specific to each schema type. Each one
+ * receives the definition, its path, and the validation state.
+ * @type {Object<string,(def:Object, path:string, state:ValidationState) => void>}
+ */
+const typeValidators = {
+
+    string: validatePrimitive,
+    boolean: validatePrimitive,
+
+    url(def, path, state) {
+        validatePrimitive(def, path, state);
+
+        if (typeof def.follow !== "undefined") {
+            if (isObject(def.follow)) {
+                validateDefinitions(def.follow, join(path, "follow"), state, true);
+            } else {
+                report(state, join(path, "follow"), "must be an object of schema definitions");
+            }
+        }
+    },
+
+    number(def, path, state) {
+        validatePrimitive(def, path, state);
+
+        if (typeof def.locale !== "undefined") {
+            try {
+                new Intl.NumberFormat(def.locale);
+            } catch (ex) {
+                report(state, join(path, "locale"), "must be a valid locale");
+            }
+        }
+
+        for (const name of ["decimal", "grouping"]) {
+            if (typeof def[name] !== "undefined" && (typeof def[name] !== "string" || !def[name])) {
+                report(state, join(path, name), "must be a non-empty string");
+            }
+        }
+    },
+
+    date(def, path, state) {
+        validatePrimitive(def, path, state);
+
+        if (typeof def.formats !== "undefined" &&
+            !(Array.isArray(def.formats) && def.formats.every(format => typeof format === "string" && format))
+        ) {
+            report(state, join(path, "formats"), "must be an array of non-empty strings");
+        }
+    },
+
+    match(def, path, state) {
+        validatePrimitive(def, path, state);
+
+        validatePattern(def.pattern, join(path, "pattern"), state);
+
+        if (typeof def.groups !== "undefined" &&
+            !(Array.isArray(def.groups) && def.groups.every(group => typeof group === "string"))
+        ) {
+            report(state, join(path, "groups"), "must be an array of strings");
+        }
+    },
+
+    array(def, path, state) {
+        validateSelector(def, path, state, true);
+
+        if (typeof def.paginate !== "undefined") {
+            validatePaginate(def.paginate, join(path, "paginate"), state);
+        }
+
+        if (!isObject(def.items)) {
+            report(state, join(path, "items"), "must be an object of schema definitions");
+            return;
+        }
+
+        validateDefinitions(def.items, join(path, "items"), state);
+    },
+
+    computed(def, path, state) {
+        if (typeof def.compute !== "function") {
+            report(state, join(path, "compute"), "must be a function");
+        }
+    },
+
+    custom(def, path, state) {
+        validateSelector(def, path, state, false);
+
+        if (typeof def.extract === "string" && def.extract) {
+            if (!(def.extract in state.extractors)) {
+                report(state, join(path, "extract"), `unknown extractor "${def.extract}"`);
+            }
+        } else if (typeof def.extract !== "function") {
+            report(state, join(path, "extract"), "must be a function or the name of an extractor");
+        }
+    },
+
+    object(def, path, state) {
+        validateSelector(def, path, state, false);
+
+        if (!isObject(def.properties)) {
+            report(state, join(path, "properties"), "must be an object of schema definitions");
+            return;
+        }
+
+        validateDefinitions(def.properties, join(path, "properties"), state);
+    },
+
+    switch(def, path, state) {
+        if (!Array.isArray(def.cases)) {
+            report(state, join(path, "cases"), "must be an array");
+            return;
+        }
+
+        def.cases.forEach((caseDef, i) => {
+            const casePath = `${join(path, "cases")}[${i}]`;
+
+            if (!isObject(caseDef)) {
+                report(state, casePath, "must be an object with \"if\" and \"then\"");
+                return;
+            }
+
+            if (isObject(caseDef.if)) {
+                validateCondition(caseDef.if, join(casePath, "if"), state);
+            } else if (typeof caseDef.if !== "string") {
+                report(state, join(casePath, "if"), "must be a selector or a condition object");
+            }
+
+            validateDefinition(caseDef.then, join(casePath, "then"), state);
+        });
+
+        if (typeof def.default !== "undefined") {
+            validateDefinition(def.default, join(path, "default"), state);
+        }
+    },
+
+    table(def, path, state) {
+        validateSelector(def, path, state, true);
+
+        if (typeof def.keys !== "undefined" && def.keys !== "head" &&
+            !(Array.isArray(def.keys) && def.keys.every(key => typeof key === "string"))
+        ) {
+            report(state, join(path, "keys"), "must be \"head\" or an array of strings");
+        }
+
+        if (typeof def.spans !== "undefined" && def.spans !== "repeat" && def.spans !== "null") {
+            report(state, join(path, "spans"), "must be \"repeat\" or \"null\"");
+        }
+
+        if (typeof def.headerRows !== "undefined" &&
+            !(Number.isInteger(def.headerRows) && def.headerRows >= 0)
+        ) {
+            report(state, join(path, "headerRows"), "must be a non-negative integer");
+        }
+
+        for (const section of ["head", "body", "foot"]) {
+            const cellDefs = def[section];
+
+            if (typeof cellDefs === "undefined") {
+                continue;
+            }
+
+            if (Array.isArray(cellDefs)) {
+                cellDefs.forEach((cellDef, i) => {
+                    validateDefinition(cellDef, `${join(path, section)}[${i}]`, state);
+                });
+                continue;
+            }
+
+            if (section === "head" || !isObject(cellDefs)) {
+                report(state, join(path, section), section === "head"
+                    ? "must be an array of schema definitions"
+                    : "must be an array or object of schema definitions");
+                continue;
+            }
+
+            validateDefinitions(cellDefs, join(path, section), state);
+        }
+    }
+};
+
+/**
+ * Records a problem.
+ * @param {ValidationState} state The validation state.
+ * @param {string} path The path to the problem.
+ * @param {string} message A description of the problem.
+ * @returns {void}
+ */
+function report(state, path, message) {
+    state.problems.push({ path, message });
+}
+
+/**
+ * Validates the `selector` property of a definition.
+ * @param {Object} def The definition to check.
+ * @param {string} path The path to the definition.
+ * @param {ValidationState} state The validation state.
+ * @param {boolean} required True if the selector must be present.
+ * @returns {void}
+ */
+function validateSelector(def, path, state, required) {
+    if (typeof def.selector === "undefined") {
+        if (required) {
+            report(state, join(path, "selector"), "is required");
+        }
+
+        return;
+    }
+
+    if (!isSelector(def.selector)) {
+        report(state, join(path, "selector"), "must be a string or a non-empty array of strings");
+    }
+}
+
+/**
+ * Validates the pagination options of an array definition.
+ * @param {Object} paginate The options to check.
+ * @param {string} path The path to the options.
+ * @param {ValidationState} state The validation state.
+ * @returns {void}
+ */
+function validatePaginate(paginate, path, state) {
+
+    if (!isObject(paginate)) {
+        report(state, path, "must be an object");
+        return;
+    }
+
+    if (typeof paginate.next !== "string" || !paginate.next) {
+        report(state, join(path, "next"), "must be a non-empty string");
+    }
+
+    if (typeof paginate.maxPages !== "undefined" &&
+        !(paginate.maxPages === Infinity || (Number.isInteger(paginate.maxPages) && paginate.maxPages > 0))
+    ) {
+        report(state, join(path, "maxPages"), "must be a positive integer");
+    }
+
+    if (typeof paginate.stop !== "undefined" && typeof paginate.stop !== "function") {
+        report(state, join(path, "stop"), "must be a function");
+    }
+}
+
+/**
+ * Validates a regular expression or the source of one.
+ * @param {RegExp|string} pattern The pattern to check.
+ * @param {string} path The path to the pattern.
+ * @param {ValidationState} state The validation state.
+ * @returns {void}
+ */
+function validatePattern(pattern, path, state) {
+
+    if (typeof pattern === "string") {
+        try {
+            new RegExp(pattern);
+        } catch (ex) {
+            report(state, path, `is not a valid regular expression: ${ex.message}`);
+        }
+    } else if (!(pattern instanceof RegExp)) {
+        report(state, path, "must be a regular expression or string");
+    }
+}
+
+/**
+ * Validates the condition of a switch case.
+ * @param {Object} condition The condition to check.
+ * @param {string} path The path to the condition.
+ * @param {ValidationState} state The validation state.
+ * @returns {void}
+ */
+function validateCondition(condition, path, state) {
+    const { selector, attribute, equals, matches, count, url } = condition;
+
+    if (typeof selector === "undefined" && typeof url === "undefined") {
+        report(state, path, "must have a \"selector\" or \"url\"");
+    }
+
+    if (typeof selector !== "undefined" && (typeof selector !== "string" || !selector)) {
+        report(state, join(path, "selector"), "must be a non-empty string");
+    }
+
+    if (typeof attribute !== "undefined" && (typeof attribute !== "string" || !attribute)) {
+        report(state, join(path, "attribute"), "must be a non-empty string");
+    }
+
+    if (typeof equals !== "undefined" && typeof equals !== "string") {
+        report(state, join(path, "equals"), "must be a string");
+    }
+
+    if (typeof matches !== "undefined") {
+        validatePattern(matches, join(path, "matches"), state);
+    }
+
+    if (typeof url !== "undefined") {
+        validatePattern(url, join(path, "url"), state);
+    }
+
+    if (typeof count !== "undefined") {
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const isRange = isObject(count) &&
+            (typeof count.min === "undefined" || isCount(count.min)) &&
+            (typeof count.max === "undefined" || isCount(count.max));
+
+        if (!isCount(count) && !isRange) {
+            report(state, join(path, "count"), "must be a non-negative integer or an object with \"min\" and \"max\"");
+        }
+    }
+
+    if (typeof selector === "undefined" && typeof url !== "undefined" &&
+        [attribute, equals, matches, count].some(value => typeof value !== "undefined")
+    ) {
+        report(state, join(path, "selector"), "is required to test elements");
+    }
+}
+
+/**
+ * Validates the constraints of a definition.
+ * @param {Object} constraints The constraints to check.
+ * @param {string} path The path to the constraints.
+ * @param {ValidationState} state The validation state.
+ * @returns {void}
+ */
+function validateConstraints(constraints, path, state) {
+
+    if (!isObject(constraints)) {
+        report(state, path, "must be an object");
+        return;
+    }
+
+    for (const name of Object.keys(constraints)) {
+        if (!constraintNames.includes(name)) {
+            report(state, join(path, name), "is not a known constraint");
+        }
+    }
+
+    const { nonEmpty, pattern, min, max, minItems, maxItems } = constraints;
+    const isLimit = value => typeof value === "number" && !Number.isNaN(value);
+    const isCount = value => Number.isInteger(value) && value >= 0;
+
+    if (typeof nonEmpty !== "undefined" && typeof nonEmpty !== "boolean") {
+        report(state, join(path, "nonEmpty"), "must be a boolean");
+    }
+
+    if (typeof pattern !== "undefined") {
+        validatePattern(pattern, join(path, "pattern"), state);
+    }
+
+    for (const [name, value, isValid, message] of [
+        ["min", min, isLimit, "must be a number"],
+        ["max", max, isLimit, "must be a number"],
+        ["minItems", minItems, isCount, "must be a non-negative integer"],
+        ["maxItems", maxItems, isCount, "must be a non-negative integer"]
+    ]) {
+        if (typeof value !== "undefined" && !isValid(value)) {
+            report(state, join(path, name), message);
+        }
+    }
+
+    if (typeof constraints.enum !== "undefined" && !(Array.isArray(constraints.enum) && constraints.enum.length)) {
+        report(state, join(path, "enum"), "must be a non-empty array");
+    }
+}
+
+/**
+ * Validates the frame of a definition.
+ * @param {string|Object} frame The frame to check.
+ * @param {string} path The path to the frame.
+ * @param {ValidationState} state The validation state.
+ * @returns {void}
+ */
+function validateFrame(frame, path, state) {
+
+    if (typeof frame === "string" && frame) {
+        return;
+    }
+
+    const hasName = isObject(frame) && typeof frame.name === "string";
+    const hasUrl = isObject(frame) && (typeof frame.url === "string" || frame.url instanceof RegExp);
+
+    if (hasName === hasUrl) {
+        report(state, path, "must be a selector or an object with either \"name\" or \"url\"");
+    }
+}
+
+/**
+ * Validates the wait options of a definition.
+ * @param {boolean|number|Object} wait The options to check.
+ * @param {string} path The path to the options.
+ * @param {ValidationState} state The validation state.
+ * @returns {void}
+ */
+function validateWait(wait, path, state) {
+
+    if (typeof wait === "boolean") {
+        return;
+    }
+
+    if (typeof wait === "number") {
+        if (!(wait > 0)) {
+            report(state, path, "must be a positive number of milliseconds");
+        }
+
+        return;
+    }
+
+    if (!isObject(wait)) {
+        report(state, path, "must be a boolean, number, or object");
+        return;
+    }
+
+    if (typeof wait.selector !== "undefined" && (!isSelector(wait.selector) || !wait.selector)) {
+        report(state, join(path, "selector"), "must be a non-empty string or a non-empty array of strings");
+    }
+
+    if (typeof wait.timeout !== "undefined" && !(typeof wait.timeout === "number" && wait.timeout > 0)) {
+        report(state, join(path, "timeout"), "must be a positive number of milliseconds");
+    }
+
+    if (typeof wait.visible !== "undefined" && typeof wait.visible !== "boolean") {
+        report(state, join(path, "visible"), "must be a boolean");
+    }
+}
+
+/**
+ * Validates the `convert` property of a definition.
+ * @param {Function|string|Array} convert The property to check.
+ * @param {string} path The path to the property.
+ * @param {ValidationState} state The validation state.
+ * @returns {void}
+ */
+function validateConvert(convert, path, state) {
+
+    if (typeof convert === "function") {
+        return;
+    }
+
+    if (!(typeof convert === "string" && convert) && !(Array.isArray(convert) && convert.length)) {
+        report(state, path, "must be a function, converter names, or a non-empty array of steps");
+        return;
+    }
+
+    const rawSteps = [].concat(convert);
+
+    rawSteps.forEach((rawStep, i) => {
+        const stepPath = typeof convert === "string" ? path : `${path}[${i}]`;
+
+        if (typeof rawStep === "function") {
+            return;
+        }
+
+        if (!(typeof rawStep === "string" || (isObject(rawStep) && typeof rawStep.name === "string"))) {
+            report(state, stepPath, "must be a converter name, a function, or an object with \"name\"");
+            return;
+        }
+
+        if (isObject(rawStep) && typeof rawStep.args !== "undefined" && !Array.isArray(rawStep.args)) {
+            report(state, join(stepPath, "args"), "must be an array");
+        }
+
+        for (const { name } of getConvertSteps(rawStep)) {
+            if (!(name in state.converters)) {
+                report(state, stepPath, `unknown converter "${name}"`);
+            }
+        }
+    });
+}
+
+/**
+ * Validates the properties of a primitive definition.
+ * @param {Object} def The definition to check.
+ * @param {string} path The path to the definition.
+ * @param {ValidationState} state The validation state.
+ * @returns {void}
+ */
+function validatePrimitive(def, path, state) {
+    validateSelector(def, path, state, false);
+
+    for (const name of ["attribute", "property"]) {
+        if (typeof def[name] !== "undefined" && (typeof def[name] !== "string" || !def[name])) {
+            report(state, join(path, name), "must be a non-empty string");
+        }
+    }
+
+    if (typeof def.attribute !== "undefined" && typeof def.property !== "undefined") {
+        report(state, path, "cannot have both \"attribute\" and \"property\"");
+    }
+}
+
+/**
+ * Validates a single schema definition and all of its descendants.
+ * @param {AnySchemaDef} def The definition to check.
+ * @param {string} path The path to the definition.
+ * @param {ValidationState} state The validation state.
+ * @returns {void}
+ */
+function validateDefinition(def, path, state) {
+
+    if (!isObject(def)) {
+        report(state, path, "must be a schema definition object");
+        return;
+    }
+
+    if (typeof def.type !== "string") {
+        report(state, join(path, "type"), "is required");
+        return;
+    }
+
+    if (!hasSchemaType(state.types, def.type)) {
+        report(state, join(path, "type"), `unknown type "${def.type}"`);
+        return;
+    }
+
+    if (typeof def.optional !== "undefined" && typeof def.optional !== "boolean") {
+        report(state, join(path, "optional"), "must be a boolean");
+    }
+
+    if (typeof def.convert !== "undefined") {
+        validateConvert(def.convert, join(path, "convert"), state);
+    }
+
+    if (typeof def.constraints !== "undefined") {
+        validateConstraints(def.constraints, join(path, "constraints"), state);
+    }
+
+    if (typeof def.selectorType !== "undefined" && !selectorTypes.has(def.selectorType)) {
+        report(state, join(path, "selectorType"), "must be \"css\", \"xpath\", or \"text\"");
+    }
+
+    if (typeof def.wait !== "undefined") {
+        validateWait(def.wait, join(path, "wait"), state);
+    }
+
+    if (typeof def.frame !== "undefined") {
+        validateFrame(def.frame, join(path, "frame"), state);
+    }
+
+    if (typeof def.shadow !== "undefined" && def.shadow !== true && (typeof def.shadow !== "string" || !def.shadow)) {
+        report(state, join(path, "shadow"), "must be true or a non-empty string");
+    }
+
+    // there's no current element to be the shadow host at the top of a page
+    if (def.shadow === true && state.topLevel) {
+        report(state, join(path, "shadow"), "must be a selector at the top of a page");
+    }
+
+    // custom schema types are responsible for their own properties
+    if (hasSchemaType(typeValidators, def.type)) {
+
+        // switch cases are extracted from the same element as the switch
+        typeValidators[def.type](def, path, { ...state, topLevel: state.topLevel && def.type === "switch" });
+    }
+}
+
+/**
+ * Validates each definition in an object of definitions.
+ * @param {Object<string,AnySchemaDef>} defs The definitions to check.
+ * @param {string} path The path to the object.
+ * @param {ValidationState} state The validation state.
+ * @param {boolean} [topLevel=false] True if the definitions are extracted
+ *      from the top of a page.
+ * @returns {void}
+ */
+function validateDefinitions(defs, path, state, topLevel = false) {
+    const defsState = { ...state, topLevel };
+
+    for (const [key, def] of Object.entries(defs)) {
+        validateDefinition(def, join(path, key), defsState);
+    }
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Checks a schema for problems, such as unknown types and missing
+ * properties, including inside of nested definitions.
+ * @param {Object<string,AnySchemaDef>} schema The schema to validate.
+ * @param {ValidationOptions} [options] Options for validation.
+ * @returns {Array<SchemaProblem>} All of the problems found. The array is
+ *      empty when the schema is valid.
+ */
+export function validateSchema(schema, { types = {}, converters = {}, extractors = {} } = {}) {
+    const state = {
+        problems: [],
+        types: createSchemaTypes(types),
+        converters: createConverters(converters),
+        extractors: createExtractors(extractors),
+        topLevel: true
+    };
+
+    if (!isObject(schema)) {
+        report(state, "", "Schema must be an object.");
+    } else {
+        validateDefinitions(schema, "", state, true);
+    }
+
+    return state.problems;
+}
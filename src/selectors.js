@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Finding elements using CSS, XPath, and text selectors
+ * @author Nicholas C. Zakas
+ */
+
+/* global document */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {import("./drivers.js").Driver} Driver
+ * @typedef {import("./drivers.js").Page} Page
+ * @typedef {import("./drivers.js").Frame} Frame
+ * @typedef {import("./drivers.js").ElementHandle} ElementHandle
+ * @typedef {"css"|"xpath"|"text"} SelectorType
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const selectorPrefix = /^(css|xpath|text)=/u;
+
+/**
+ * Gets the CSS selector that can be passed directly to the driver.
+ * @param {string} selector The selector to check.
+ * @returns {string|null} The CSS selector without any `css=` prefix or
+ *      `null` if the selector isn't CSS.
+ */
+function getCssSelector(selector) {
+
+    if (selector.startsWith("css=")) {
+        return selector.slice(4);
+    }
+
+    return selectorPrefix.test(selector) || selector.startsWith("//") ? null : selector;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * The values allowed for the `selectorType` of a definition.
+ * @type {Set<SelectorType>}
+ */
+export const selectorTypes = new Set(["css", "xpath", "text"]);
+
+/**
+ * Finds the elements matching a selector. A selector may start with
+ * `xpath=`, `text=`, or `css=` to choose how it's matched, and selectors
+ * starting with `//` are XPath expressions. Any other selector is CSS.
+ *
+ * XPath expressions are evaluated relative to the root, and one starting
+ * with `//` only searches inside the root, as if it started with `.//`.
+ *
+ * Text selectors match the innermost elements whose whitespace-normalized
+ * text contains the given text, ignoring case, or whose text is exactly the
+ * given text when it's in double quotes. The contents of `<script>`,
+ * `<style>`, `<title>`, `<noscript>`, and `<template>` elements are ignored.
+ * Note: This function is used in the context of a Puppeteer page.
+ * @param {Document|Element|ShadowRoot|null} root The node to search from or
+ *      `null` for the document.
+ * @param {string} selector The selector to match.
+ * @param {boolean} [first=false] True if only the first match is needed.
+ * @returns {Array<Element>} The matching elements in document order.
+ */
+export function findElements(root, selector, first = false) {
+    const context = root || document;
+    const prefix = /^(css|xpath|text)=/u.exec(selector);
+    let type = prefix ? prefix[1] : "css";
+    const value = prefix ? selector.slice(prefix[0].length) : selector;
+
+    if (!prefix && selector.startsWith("//")) {
+        type = "xpath";
+    }
+
+    switch (type) {
+        case "xpath": {
+            const ownerDocument = context.ownerDocument || context;
+
+            // "//" would otherwise search the whole document from any element
+            const expression = value.startsWith("//") ? `.${value}` : value;
+
+            // 7 is XPathResult.ORDERED_NODE_SNAPSHOT_TYPE
+            const result = ownerDocument.evaluate(expression, context, null, 7, null);
+            const elements = [];
+
+            for (let i = 0; i < result.snapshotLength; i++) {
+                const node = result.snapshotItem(i);
+
+                if (node.nodeType === 1) {
+                    elements.push(node);
+                }
+            }
+
+            return elements;
+        }
+
+        case "text": {
+            const quoted = /^"([\s\S]*)"$/u.exec(value);
+            const normalize = text => text.replace(/\s+/gu, " ").trim();
+            const expected = quoted ? normalize(quoted[1]) : normalize(value).toLowerCase();
+
+            // like Playwright, the contents of these elements aren't text
+            const ignored = "script, style, title, noscript, template";
+            const readText = element => {
+                const ownerDocument = element.ownerDocument;
+
+                // 5 is NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT; 1 and 2 are FILTER_ACCEPT and FILTER_REJECT
+                const walker = ownerDocument.createTreeWalker(element, 5, {
+                    acceptNode: node => (node.nodeType === 1 && node.matches(ignored) ? 2 : 1)
+                });
+                let text = "";
+
+                while (walker.nextNode()) {
+                    if (walker.currentNode.nodeType === 3) {
+                        text += walker.currentNode.nodeValue;
+                    }
+                }
+
+                return text;
+            };
+            const matches = element => {
+                const text = normalize(readText(element));
+                return quoted ? text === expected : text.toLowerCase().includes(expected);
+            };
+
+            // only the innermost elements containing the text are matched
+            return Array.from(context.querySelectorAll("*")).filter(element =>
+                !element.closest(ignored) && matches(element) && !Array.from(element.children).some(matches)
+            );
+        }
+
+        default:
+            if (first) {
+                const element = context.querySelector(value);
+                return element ? [element] : [];
+            }
+
+            return Array.from(context.querySelectorAll(value));
+    }
+}
+
+/**
+ * Applies the `selectorType` of a definition to its selector.
+ * @param {string|Array<string>} selector The selector from the definition or
+ *      a list of fallback selectors.
+ * @param {SelectorType} [selectorType] The type of the selector.
+ * @returns {string|Array<string>} The selector with a prefix for its type,
+ *      if needed.
+ */
+export function resolveSelector(selector, selectorType) {
+
+    if (Array.isArray(selector)) {
+        return selector.map(item => resolveSelector(item, selectorType));
+    }
+
+    if (!selectorType || typeof selector !== "string" || selectorPrefix.test(selector)) {
+        return selector;
+    }
+
+    return `${selectorType}=${selector}`;
+}
+
+/**
+ * Finds all elements matching a selector.
+ * @param {Driver} driver The driver for the page.
+ * @param {Page|Frame|ElementHandle} root The page, frame, or element handle
+ *      to query from.
+ * @param {string} selector The CSS, XPath, or text selector.
+ * @returns {Promise<Array<ElementHandle>>} The matching elements.
+ */
+export async function queryAll(driver, root, selector) {
+    const cssSelector = getCssSelector(selector);
+
+    if (cssSelector !== null) {
+        return driver.querySelectorAll(root, cssSelector);
+    }
+
+    // element handles pass themselves as the first argument
+    const arrayHandle = driver.isHandle(root)
+        ? await driver.evaluateHandle(root, findElements, selector)
+        : await driver.evaluateHandle(root, findElements, null, selector);
+
+    return driver.getElements(arrayHandle);
+}
+
+/**
+ * Finds the first element matching a selector.
+ * @param {Driver} driver The driver for the page.
+ * @param {Page|Frame|ElementHandle} root The page, frame, or element handle
+ *      to query from.
+ * @param {string} selector The CSS, XPath, or text selector.
+ * @returns {Promise<ElementHandle|null>} The first matching element or
+ *      `null` if there isn't one.
+ */
+export async function queryOne(driver, root, selector) {
+    const cssSelector = getCssSelector(selector);
+
+    if (cssSelector !== null) {
+        return driver.querySelector(root, cssSelector);
+    }
+
+    const [element = null] = await queryAll(driver, root, selector);
+    return element;
+}
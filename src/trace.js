@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Recording how each value in a schema was extracted
+ * @author Nicholas C. Zakas
+ */
+
+/* global window, document */
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {import("./drivers.js").Driver} Driver
+ * @typedef {import("./drivers.js").Page} Page
+ * @typedef {import("./drivers.js").ElementHandle} ElementHandle
+ *
+ * @typedef {Object} TraceOptions
+ * @property {boolean} [screenshot=false] True to outline the elements that
+ *      matched and take a screenshot of the page after extracting.
+ *
+ * @typedef {Object} TraceNode
+ * @property {string} path The path to the value, such as `posts[3].title`.
+ * @property {string} type The type of the definition.
+ * @property {string|null} selector The selector used to find the element
+ *      or `null` if the definition didn't query the page.
+ * @property {number|null} matched The number of elements that matched the
+ *      selector or `null` if the definition didn't query the page.
+ * @property {string|undefined} text The text read from the element before
+ *      it was converted, if any.
+ * @property {*} value The extracted value after conversion.
+ * @property {string} [error] The message of the error that occurred, if any.
+ * @property {number} duration The milliseconds it took to extract the value.
+ * @property {Array<TraceNode>} children The traces for nested definitions.
+ *
+ * @typedef {Object} ExtractionTrace
+ * @property {string} url The URL of the page.
+ * @property {number} duration The milliseconds it took to extract the data.
+ * @property {Array<TraceNode>} nodes The traces for the definitions at the
+ *      top of the schema.
+ * @property {Uint8Array} [screenshot] A screenshot of the page with the
+ *      matched elements outlined when the `screenshot` option is `true`.
+ *
+ * @typedef {Object} TraceState
+ * @property {ExtractionTrace} trace The trace being recorded.
+ * @property {Array<{node:TraceNode,start:number}>} stack The nodes being
+ *      recorded, innermost last, and when each started.
+ * @property {number} start When the extraction started.
+ * @property {Page} page The page being extracted from.
+ * @property {boolean} outline True if matched elements should be outlined.
+ * @property {Array<ElementHandle>} matched The elements to outline.
+ *
+ * @typedef {Object} OutlineBox
+ * @property {number} top The distance from the top of the page in pixels.
+ * @property {number} left The distance from the left of the page in pixels.
+ * @property {number} width The width in pixels.
+ * @property {number} height The height in pixels.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Finds where an element is on the page so an outline can be drawn over it.
+ * Note: This function is used in the context of a Puppeteer page.
+ * @param {HTMLElement} element The element to find.
+ * @returns {OutlineBox|null} The position of the element or `null` if the
+ *      element is inside of a frame, whose position isn't known.
+ */
+function getOutlineBox(element) {
+
+    if (window !== window.top) {
+        return null;
+    }
+
+    const rect = element.getBoundingClientRect();
+
+    return {
+        top: rect.top + window.scrollY,
+        left: rect.left + window.scrollX,
+        width: rect.width,
+        height: rect.height
+    };
+}
+
+/**
+ * Draws outlines in an overlay on top of the page, leaving the elements
+ * themselves as-is.
+ * Note: This function is used in the context of a Puppeteer page.
+ * @param {Array<OutlineBox>} boxes The positions to outline.
+ * @returns {void}
+ */
+function addOutlines(boxes) {
+    const overlay = document.createElement("div");
+
+    overlay.setAttribute("data-trace-outlines", "");
+    overlay.style.cssText = "position: absolute; top: 0; left: 0; z-index: 2147483647; pointer-events: none;";
+
+    for (const { top, left, width, height } of boxes) {
+        const outline = document.createElement("div");
+
+        outline.style.cssText = `position: absolute; top: ${top}px; left: ${left}px; width: ${width}px; height: ${height}px; box-sizing: border-box; border: 2px solid #f00;`;
+        overlay.appendChild(outline);
+    }
+
+    // the root element is positioned relative to the page even if the body isn't
+    document.documentElement.appendChild(overlay);
+}
+
+/**
+ * Removes the overlay added by `addOutlines()`.
+ * Note: This function is used in the context of a Puppeteer page.
+ * @returns {void}
+ */
+function removeOutlines() {
+    const overlay = document.querySelector("[data-trace-outlines]");
+
+    if (overlay) {
+        overlay.remove();
+    }
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates the state for recording a trace.
+ * @param {Driver} driver The driver for the page.
+ * @param {Page} page The page being extracted from.
+ * @param {boolean|TraceOptions} options The `trace` option of the extraction.
+ * @returns {TraceState} The state.
+ */
+export function createTraceState(driver, page, options) {
+    return {
+        trace: {
+            url: driver.url(page),
+            duration: 0,
+            nodes: []
+        },
+        stack: [],
+        start: Date.now(),
+        page,
+        outline: typeof options === "object" && Boolean(options.screenshot),
+        matched: []
+    };
+}
+
+/**
+ * Starts recording the extraction of a definition. The node is added to the
+ * node currently being recorded and becomes the current node.
+ * @param {TraceState} state The trace state.
+ * @param {string} path The path to the value.
+ * @param {Object} def The definition.
+ * @returns {TraceNode} The node for the definition.
+ */
+export function enterTraceNode(state, path, def) {
+    const node = {
+        path,
+        type: def.type,
+        selector: null,
+        matched: null,
+        text: undefined,
+        value: undefined,
+        duration: 0,
+        children: []
+    };
+    const parent = state.stack[state.stack.length - 1];
+
+    (parent ? parent.node.children : state.trace.nodes).push(node);
+    state.stack.push({ node, start: Date.now() });
+
+    return node;
+}
+
+/**
+ * Stops recording the current node.
+ * @param {TraceState} state The trace state.
+ * @returns {void}
+ */
+export function exitTraceNode(state) {
+    const { node, start } = state.stack.pop();
+    node.duration = Date.now() - start;
+}
+
+/**
+ * Records the elements that a selector matched on the current node and,
+ * when taking a screenshot, remembers the elements that are used so they
+ * can be outlined after extracting.
+ * @param {TraceState} state The trace state.
+ * @param {Page} page The page the elements are in.
+ * @param {Object} match The match to record.
+ * @param {string} match.selector The selector.
+ * @param {number} match.count The number of elements it matched.
+ * @param {Array<ElementHandle>} match.handles The elements that are used.
+ * @returns {void}
+ */
+export function traceMatch(state, page, { selector, count, handles }) {
+    const current = state.stack[state.stack.length - 1];
+
+    if (current) {
+        current.node.selector = selector;
+        current.node.matched = count;
+    }
+
+    // elements on other pages, such as followed links, won't be in the screenshot
+    if (state.outline && page === state.page) {
+        state.matched.push(...handles);
+    }
+}
+
+/**
+ * Records the text read from an element on the current node.
+ * @param {TraceState} state The trace state.
+ * @param {string|undefined} text The text.
+ * @returns {void}
+ */
+export function traceText(state, text) {
+    const current = state.stack[state.stack.length - 1];
+
+    if (current) {
+        current.node.text = text;
+    }
+}
+
+/**
+ * Finishes a trace. If requested, the elements that were used are outlined
+ * in an overlay, a screenshot is taken, and the overlay is removed.
+ * @param {TraceState} state The trace state.
+ * @param {Driver} driver The driver for the page.
+ * @returns {Promise<ExtractionTrace>} The trace.
+ */
+export async function finishTrace(state, driver) {
+    const { trace, page } = state;
+
+    trace.duration = Date.now() - state.start;
+
+    if (state.outline) {
+        const boxes = [];
+
+        for (const handle of state.matched) {
+            const box = await driver.evaluate(handle, getOutlineBox);
+
+            if (box) {
+                boxes.push(box);
+            }
+        }
+
+        await driver.evaluate(page, addOutlines, boxes);
+
+        try {
+            trace.screenshot = await driver.screenshot(page);
+        } finally {
+            await driver.evaluate(page, removeOutlines);
+        }
+    }
+
+    return trace;
+}
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Waiting for elements and pages to be ready
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { queryOne } from "./selectors.js";
+
+//-----------------------------------------------------------------------------
+// Types
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {import("./drivers.js").Driver} Driver
+ * @typedef {import("./drivers.js").Page} Page
+ * @typedef {import("./drivers.js").Frame} Frame
+ * @typedef {import("./drivers.js").ElementHandle} ElementHandle
+ *
+ * @typedef {Object} WaitOptions
+ * @property {string|Array<string>} [selector] The selector to wait for
+ *      instead of the selector of the definition, or a list of selectors
+ *      to wait for any of.
+ * @property {number} [timeout=30000] The most milliseconds to wait.
+ * @property {boolean} [visible=false] True to also wait for the element
+ *      to be visible.
+ *
+ * @typedef {Object} PageWaitOptions
+ * @property {boolean|number} [networkIdle] True to wait until there have been
+ *      no network requests for 500 milliseconds, or the number of
+ *      milliseconds without network requests to wait for.
+ * @property {string} [selector] The selector to wait for.
+ * @property {number} [timeout=30000] The most milliseconds to wait.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const defaultTimeout = 30000;
+const defaultIdleTime = 500;
+const pollingInterval = 100;
+
+/**
+ * Determines if an element is visible.
+ * Note: This function is used in the context of a Puppeteer page.
+ * @param {HTMLElement} element The element to check.
+ * @returns {boolean} True if the element takes up space on the page.
+ */
+function isVisible(element) {
+    return element.getClientRects().length > 0;
+}
+
+/**
+ * Pauses for a number of milliseconds.
+ * @param {number} ms The milliseconds to pause for.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates an error for a wait that took too long.
+ * @param {string} message A description of the wait.
+ * @returns {Error} The error.
+ */
+export function createTimeoutError(message) {
+    const error = new Error(message);
+    error.name = "TimeoutError";
+    return error;
+}
+
+/**
+ * Normalizes the `wait` property of a schema definition.
+ * @param {boolean|number|WaitOptions} wait The `wait` property. A number is
+ *      the timeout in milliseconds.
+ * @param {string|Array<string>} [selector] The selector of the definition.
+ * @returns {{selector:string|Array<string>|undefined,timeout:number,visible:boolean}}
+ *      The wait options with defaults applied.
+ */
+export function getWaitOptions(wait, selector) {
+    let options = {};
+
+    if (typeof wait === "number") {
+        options = { timeout: wait };
+    } else if (typeof wait === "object") {
+        options = wait;
+    }
+
+    return {
+        selector: options.selector || selector,
+        timeout: options.timeout || defaultTimeout,
+        visible: Boolean(options.visible)
+    };
+}
+
+/**
+ * Waits for an element matching a selector to exist.
+ * @param {Driver} driver The driver for the page.
+ * @param {Page|Frame|ElementHandle} root The page, frame, or element handle
+ *      to query from.
+ * @param {{selector:string|Array<string>,timeout:number,visible:boolean}} options
+ *      The normalized wait options. When `selector` is an array, an element
+ *      matching any of the selectors ends the wait.
+ * @returns {Promise<boolean>} True if the element appeared or false if
+ *      waiting timed out.
+ */
+export async function waitForElement(driver, root, { selector, timeout, visible }) {
+    const deadline = Date.now() + timeout;
+    const candidates = [].concat(selector);
+
+    // polled from here so every kind of selector can be waited for
+    for (;;) {
+        for (const candidate of candidates) {
+            const element = await queryOne(driver, root, candidate);
+
+            if (element && (!visible || await driver.evaluate(element, isVisible))) {
+                return true;
+            }
+        }
+
+        if (Date.now() >= deadline) {
+            return false;
+        }
+
+        await delay(pollingInterval);
+    }
+}
+
+/**
+ * Waits for a page to be ready before extracting from it.
+ * @param {Driver} driver The driver for the page.
+ * @param {Page} page The page to wait for.
+ * @param {PageWaitOptions} options The conditions to wait for.
+ * @returns {Promise<void>}
+ * @throws {Error} With a `name` of `"TimeoutError"` if the page isn't ready
+ *      before the timeout.
+ */
+export async function waitForPage(driver, page, { networkIdle, selector, timeout = defaultTimeout }) {
+
+    if (networkIdle) {
+        const idleTime = typeof networkIdle === "number" ? networkIdle : defaultIdleTime;
+        await driver.waitForNetworkIdle(page, { idleTime, timeout });
+    }
+
+    if (selector && !await waitForElement(driver, page, { selector, timeout, visible: false })) {
+        throw createTimeoutError(`Timed out after ${timeout}ms waiting for "${selector}".`);
+    }
+}
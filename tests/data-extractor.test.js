@@ -3,13 +3,23 @@
  * @author Nicholas C. Zakas
  */
 
-/* global describe, it, beforeEach, afterEach */
+/* global describe, it, before, after, beforeEach, afterEach, document */
 
 //-----------------------------------------------------------------------------
 // Imports
 //-----------------------------------------------------------------------------
 
-import { DataExtractor } from "../src/data-extractor.js";
+import {
+    DataExtractor,
+    validateSchema,
+    toJsonSchema,
+    SchemaError,
+    ExtractionError,
+    puppeteerDriver,
+    playwrightDriver
+} from "../src/data-extractor.js";
+import { detectDriver } from "../src/drivers.js";
+import { createHtmlPage, htmlDriver } from "../src/html-page.js";
 import { expect } from "chai";
 import { fileURLToPath, pathToFileURL } from "url";
 import fs from "fs/promises";
@@ -61,6 +71,136 @@ function blockAllBut(page, url) {
     });
 }
 
+/**
+ * Creates a driver that loads pages from static HTML instead of a browser so
+ * tests that load other pages can run without Chromium. Clicking an element
+ * loads the URL in its `data-href` attribute.
+ * @param {Object<string,string>} site The HTML of each page by URL.
+ * @returns {Object} The driver.
+ */
+function createSiteDriver(site) {
+
+    const load = async (page, url) => {
+        if (!(url in site)) {
+            throw new Error(`Page ${url} not found.`);
+        }
+
+        page.document = (await createHtmlPage(site[url], { url })).document;
+    };
+
+    return {
+        ...htmlDriver,
+        name: "site",
+
+        async openPage(page, url) {
+            const newPage = await createHtmlPage("");
+            await load(newPage, url);
+            return newPage;
+        },
+
+        goto: load,
+
+        async clickAndWait(page, handle) {
+            const href = await htmlDriver.evaluate(handle, element => element.dataset.href);
+            await load(page, new URL(href, page.url()).href);
+        },
+
+        closePage(page) {
+            return page.close();
+        }
+    };
+}
+
+/**
+ * Creates a page that behaves like a Playwright page on top of static HTML so
+ * the Playwright driver can be tested without a browser. As in Playwright,
+ * functions receive at most one argument after the value of a handle and
+ * handles inside of that argument are passed as the values they refer to.
+ * @param {string} html The HTML of the page.
+ * @returns {Promise<Object>} The page.
+ */
+async function createPlaywrightPage(html) {
+    const { runtime } = (await createHtmlPage(html)).document;
+    const handles = new WeakSet();
+
+    const copy = value => (typeof value === "undefined" ? value : normalizeToJson(value));
+
+    const unwrap = value => {
+        if (Array.isArray(value)) {
+            return value.map(unwrap);
+        }
+
+        return handles.has(value) ? value.value : copy(value);
+    };
+
+    const run = (pageFunction, values) => {
+        const compiled = runtime.compile(pageFunction);
+        return typeof pageFunction === "string" ? compiled : compiled(...values);
+    };
+
+    const createHandle = value => {
+        const handle = {
+            value,
+
+            async $(selector) {
+                const element = value.querySelector(selector);
+                return element ? createHandle(element) : null;
+            },
+
+            async $$(selector) {
+                return Array.from(value.querySelectorAll(selector), createHandle);
+            },
+
+            async evaluate(pageFunction, arg) {
+                return copy(run(pageFunction, [value, unwrap(arg)]));
+            },
+
+            async evaluateHandle(pageFunction, arg) {
+                return createHandle(run(pageFunction, [value, unwrap(arg)]));
+            },
+
+            asElement() {
+                return value instanceof runtime.window.Node ? handle : null;
+            },
+
+            async getProperties() {
+                return new Map(Object.entries(value).map(([key, property]) => [key, createHandle(property)]));
+            },
+
+            async dispose() {
+                // nothing to do
+            }
+        };
+
+        handles.add(handle);
+        return handle;
+    };
+
+    const document = createHandle(runtime.window.document);
+
+    return {
+        $: selector => document.$(selector),
+        $$: selector => document.$$(selector),
+
+        async evaluate(pageFunction, arg) {
+            return copy(run(pageFunction, [unwrap(arg)]));
+        },
+
+        async evaluateHandle(pageFunction, arg) {
+            return createHandle(run(pageFunction, [unwrap(arg)]));
+        },
+
+        url() {
+            return runtime.window.document.URL;
+        },
+
+        // Playwright pages belong to a browser context instead of a browser
+        context() {
+            return {};
+        }
+    };
+}
+
 /**
  * Normalizes an object by passing it through JSON methods.
  * @param {Object} data The data to normalize. 
@@ -135,7 +275,7 @@ const salaryPost = {
             const result = [];
 
             for (const child of element.children) {
-                result.push(Number(child.innerText))
+                result.push(Number(child.innerText));
             }
 
             return result;
@@ -233,5 +373,1587 @@ describe("DataExtractor", () => {
             const result = normalizeToJson(await extractor.extractFrom(page));
             expect(result).to.deep.equal(expected);
         });
+
+        it("should return the same data when extracting in the page", async () => {
+            const url = getFileUrlRelativeToTest("fixtures/blog-somewhat-complete-salary-history.html");
+            const expected = JSON.parse(await fs.readFile("tests/fixtures/blog-somewhat-complete-salary-history.json", "utf8"));
+            const extractor = new DataExtractor(salaryPost);
+            blockAllBut(page, url);
+            
+            await page.goto(url);
+            await page.waitForSelector("body");
+            const result = normalizeToJson(await extractor.extractFrom(page, { inPage: true }));
+            expect(result).to.deep.equal(expected);
+        });
+
+        it("should read attributes and properties for primitive types", async () => {
+            const extractor = new DataExtractor({
+                links: {
+                    type: "array",
+                    selector: "li",
+                    items: {
+                        href: {
+                            type: "string",
+                            selector: "a",
+                            attribute: "href"
+                        },
+                        id: {
+                            type: "number",
+                            attribute: "data-id"
+                        },
+                        text: {
+                            type: "string",
+                            selector: "a",
+                            property: "textContent"
+                        }
+                    }
+                }
+            });
+
+            await page.setContent(`
+                <ul>
+                    <li data-id="1"><a href="/one">One</a></li>
+                    <li data-id="2"><a href="/two">Two</a></li>
+                </ul>
+            `);
+
+            const result = await extractor.extractFrom(page);
+            expect(result).to.deep.equal({
+                links: [
+                    { href: "/one", id: 1, text: "One" },
+                    { href: "/two", id: 2, text: "Two" }
+                ]
+            });
+        });
+
+        describe("errors", () => {
+
+            const postsSchema = {
+                posts: {
+                    type: "array",
+                    selector: "#posts > li",
+                    items: {
+                        author: {
+                            type: "object",
+                            selector: ".author",
+                            properties: {
+                                name: {
+                                    type: "string",
+                                    selector: ".name"
+                                }
+                            }
+                        }
+                    }
+                }
+            };
+
+            const postsHtml = `
+                <ul id="posts">
+                    <li><div class="author"><span class="name">Nicholas</span></div></li>
+                    <li><div class="author"></div></li>
+                </ul>
+            `;
+
+            it("should throw an ExtractionError with the path and selectors", async () => {
+                const extractor = new DataExtractor(postsSchema);
+
+                await page.setContent(postsHtml);
+
+                let error;
+
+                try {
+                    await extractor.extractFrom(page);
+                } catch (ex) {
+                    error = ex;
+                }
+
+                expect(error).to.be.an.instanceOf(ExtractionError);
+                expect(error.code).to.equal("ELEMENT_NOT_FOUND");
+                expect(error.path).to.equal("posts[1].author.name");
+                expect(error.selectors).to.deep.equal(["#posts > li", ".author", ".name"]);
+                expect(error.url).to.equal(page.url());
+            });
+
+            [false, true].forEach(inPage => {
+                it(`should collect errors and return partial data (inPage: ${inPage})`, async () => {
+                    const extractor = new DataExtractor(postsSchema);
+
+                    await page.setContent(postsHtml);
+
+                    const { data, errors } = await extractor.extractFrom(page, { inPage, collectErrors: true });
+
+                    expect(normalizeToJson(data)).to.deep.equal({
+                        posts: [
+                            { author: { name: "Nicholas" } },
+                            { author: {} }
+                        ]
+                    });
+                    expect(errors).to.have.lengthOf(1);
+                    expect(errors[0].path).to.equal("posts[1].author.name");
+                });
+            });
+        });
+
+        it("should return table rows as objects using header names", async () => {
+            const extractor = new DataExtractor({
+                salaries: {
+                    type: "table",
+                    selector: "table",
+                    keys: "head",
+                    body: {
+                        Year: { type: "number" },
+                        Salary: { type: "number" }
+                    }
+                }
+            });
+
+            await page.setContent(`
+                <table>
+                    <thead><tr><th>Year</th><th>Company</th><th>Salary</th></tr></thead>
+                    <tbody><tr><td>2000</td><td>Radnet, Inc.</td><td>$48,000</td></tr></tbody>
+                </table>
+            `);
+
+            const result = await extractor.extractFrom(page);
+            expect(result.salaries.body).to.deep.equal([
+                { Year: 2000, Company: "Radnet, Inc.", Salary: 48000 }
+            ]);
+        });
+
+        it("should expand merged table cells into logical columns", async () => {
+            const extractor = new DataExtractor({
+                scores: {
+                    type: "table",
+                    selector: "table",
+                    spans: "repeat",
+                    keys: "head",
+                    body: {
+                        Home: { type: "number" },
+                        Away: { type: "number" }
+                    }
+                }
+            });
+
+            await page.setContent(`
+                <table>
+                    <thead>
+                        <tr><th rowspan="2">Team</th><th colspan="2">Score</th></tr>
+                        <tr><th>Home</th><th>Away</th></tr>
+                    </thead>
+                    <tbody>
+                        <tr><td rowspan="2">Reds</td><td>1</td><td>2</td></tr>
+                        <tr><td colspan="2">3</td></tr>
+                    </tbody>
+                </table>
+            `);
+
+            const result = await extractor.extractFrom(page);
+            expect(result.scores.body).to.deep.equal([
+                { Team: "Reds", Home: 1, Away: 2 },
+                { Team: "Reds", Home: 3, Away: 3 }
+            ]);
+        });
+
+        it("should detect a header row in a table without a thead", async () => {
+            const extractor = new DataExtractor({
+                salaries: {
+                    type: "table",
+                    selector: "table",
+                    body: [{ type: "number" }]
+                },
+                missing: {
+                    type: "table",
+                    selector: "table.missing",
+                    optional: true
+                }
+            });
+
+            await page.setContent(`
+                <table>
+                    <tr><th>Year</th><th>Company</th></tr>
+                    <tr><td>2000</td><td>Radnet, Inc.</td></tr>
+                </table>
+            `);
+
+            const result = await extractor.extractFrom(page);
+            expect(result).to.deep.equal({
+                salaries: {
+                    head: [["Year", "Company"]],
+                    body: [[2000, "Radnet, Inc."]],
+                    foot: []
+                },
+                missing: undefined
+            });
+        });
+
+        it("should parse numbers in other formats", async () => {
+            const extractor = new DataExtractor({
+                price: { type: "number", selector: ".price", decimal: "," },
+                loss: { type: "number", selector: ".loss" },
+                rate: { type: "number", selector: ".rate" },
+                range: { type: "number", selector: ".range", optional: true }
+            });
+
+            await page.setContent(`
+                <span class="price">1.234,56 €</span>
+                <span class="loss">($1.5k)</span>
+                <span class="rate">12.5%</span>
+                <span class="range">10-20</span>
+            `);
+
+            const result = await extractor.extractFrom(page);
+            expect(result).to.deep.equal({
+                price: 1234.56,
+                loss: -1500,
+                rate: 0.125,
+                range: undefined
+            });
+        });
+
+        it("should wait for elements and report timeouts", async () => {
+            const extractor = new DataExtractor({
+                late: { type: "string", selector: ".late", wait: 2000 },
+                never: { type: "string", selector: ".never", optional: true, wait: 100 },
+                absent: { type: "string", selector: ".absent", optional: true }
+            });
+
+            await page.setContent(`
+                <div id="widget"></div>
+                <script>
+                    setTimeout(() => {
+                        document.getElementById("widget").innerHTML = "<p class='late'>Loaded</p>";
+                    }, 50);
+                </script>
+            `);
+
+            const { data, errors } = await extractor.extractFrom(page, { collectErrors: true });
+
+            expect(data).to.deep.equal({ late: "Loaded", never: undefined, absent: undefined });
+            expect(errors).to.have.lengthOf(1);
+            expect(errors[0].code).to.equal("TIMEOUT");
+            expect(errors[0].path).to.equal("never");
+        });
+
+        it("should extract from frames and shadow roots", async () => {
+            const extractor = new DataExtractor({
+                framed: {
+                    type: "string",
+                    selector: "h1",
+                    frame: "iframe"
+                },
+                card: {
+                    type: "object",
+                    shadow: "user-card",
+                    properties: {
+                        name: { type: "string", selector: ".name" }
+                    }
+                }
+            });
+
+            await page.setContent(`
+                <iframe srcdoc="<h1>Inside</h1>"></iframe>
+                <user-card></user-card>
+                <script>
+                    document.querySelector("user-card")
+                        .attachShadow({ mode: "open" })
+                        .innerHTML = "<span class='name'>Nicholas</span>";
+                </script>
+            `);
+            await page.waitForFunction(() => document.querySelector("iframe").contentDocument.querySelector("h1"));
+
+            const result = await extractor.extractFrom(page);
+            expect(result).to.deep.equal({
+                framed: "Inside",
+                card: { name: "Nicholas" }
+            });
+        });
+
+        it("should find elements with XPath and text selectors", async () => {
+            const extractor = new DataExtractor({
+                price: {
+                    type: "number",
+                    selector: "//dt[.='Price']/following-sibling::dd[1]"
+                },
+                name: {
+                    type: "string",
+                    selector: "//dt[.='Name']/following-sibling::dd[1]",
+                    selectorType: "xpath"
+                },
+                items: {
+                    type: "array",
+                    selector: "css=li",
+                    items: {
+                        color: { type: "string", selector: "span" },
+                        status: {
+                            type: "string",
+                            selector: "\"Sold out\"",
+                            selectorType: "text",
+                            optional: true
+                        },
+                        action: { type: "string", selector: "xpath=.//button" }
+                    }
+                }
+            });
+
+            await page.setContent(`
+                <dl><dt>Name</dt><dd>Widget</dd><dt>Price</dt><dd>$5</dd></dl>
+                <ul>
+                    <li><span>Red</span> <button>Add to cart</button></li>
+                    <li><span>Blue</span> <button>Sold out</button></li>
+                </ul>
+            `);
+
+            for (const inPage of [false, true]) {
+                const result = await extractor.extractFrom(page, { inPage });
+                expect(result).to.deep.equal({
+                    price: 5,
+                    name: "Widget",
+                    items: [
+                        { color: "Red", status: undefined, action: "Add to cart" },
+                        { color: "Blue", status: "Sold out", action: "Sold out" }
+                    ]
+                });
+            }
+        });
+
+        it("should use fallback selectors and report which one matched", async () => {
+            const extractor = new DataExtractor({
+                title: {
+                    type: "string",
+                    selector: ["h1.title", "h1"]
+                },
+                items: {
+                    type: "array",
+                    selector: ["ul > li", "ol > li"],
+                    items: {
+                        name: { type: "string", selector: ["b", "i"] }
+                    }
+                },
+                price: {
+                    type: "number",
+                    selector: [".price", ".cost"],
+                    optional: true
+                }
+            });
+
+            await page.setContent(`
+                <h1>Products</h1>
+                <ol>
+                    <li><b>Red</b></li>
+                    <li><i>Blue</i></li>
+                </ol>
+            `);
+
+            const result = await extractor.extractFrom(page, { reportSelectors: true });
+            expect(result).to.deep.equal({
+                data: {
+                    title: "Products",
+                    items: [{ name: "Red" }, { name: "Blue" }],
+                    price: undefined
+                },
+                errors: [],
+                selectors: [
+                    { path: "title", selectors: ["h1.title", "h1"], index: 1, selector: "h1" },
+                    { path: "items", selectors: ["ul > li", "ol > li"], index: 1, selector: "ol > li" },
+                    { path: "items[0].name", selectors: ["b", "i"], index: 0, selector: "b" },
+                    { path: "items[1].name", selectors: ["b", "i"], index: 1, selector: "i" },
+                    { path: "price", selectors: [".price", ".cost"], index: -1, selector: null }
+                ]
+            });
+        });
+
+        it("should query the page through the driver", async () => {
+            const selectors = [];
+            const driver = {
+                ...puppeteerDriver,
+                name: "logging",
+                querySelector(root, selector) {
+                    selectors.push(selector);
+                    return puppeteerDriver.querySelector(root, selector);
+                },
+                openPage: undefined
+            };
+            const extractor = new DataExtractor({
+                title: { type: "string", selector: "h1" },
+                next: {
+                    type: "url",
+                    selector: "a",
+                    follow: {
+                        title: { type: "string", selector: "h1" }
+                    }
+                }
+            });
+
+            await page.setContent("<h1>Hello</h1><a href=\"about:blank\">Next</a>");
+
+            const { data, errors } = await extractor.extractFrom(page, { driver, collectErrors: true });
+            expect(data).to.deep.equal({ title: "Hello", next: undefined });
+            expect(selectors).to.deep.equal(["h1", "a"]);
+            expect(errors[0].code).to.equal("NOT_SUPPORTED");
+
+            let error;
+
+            try {
+                await extractor.extractFrom(page, { driver: { name: "broken" } });
+            } catch (ex) {
+                error = ex;
+            }
+
+            expect(error).to.be.an.instanceOf(TypeError);
+        });
+
+        it("should paginate arrays and follow links to other pages", async () => {
+            const toDataUrl = html => `data:text/html,${encodeURIComponent(html)}`;
+            const details = toDataUrl("<h1>Three</h1>");
+            const secondPage = toDataUrl(`<ul><li><a href="${details}">3</a></li></ul>`);
+            const extractor = new DataExtractor({
+                items: {
+                    type: "array",
+                    selector: "li",
+                    paginate: { next: "a.next" },
+                    items: {
+                        name: { type: "string", selector: "a" },
+                        title: {
+                            type: "url",
+                            selector: "a",
+                            follow: {
+                                heading: { type: "string", selector: "h1" }
+                            },
+                            convert: value => value.heading
+                        }
+                    }
+                }
+            });
+
+            await page.setContent(`
+                <ul>
+                    <li><a href="${toDataUrl("<h1>One</h1>")}">1</a></li>
+                    <li><a href="${toDataUrl("<h1>Two</h1>")}">2</a></li>
+                </ul>
+                <a class="next" href="${secondPage}">Next</a>
+            `);
+
+            const result = await extractor.extractFrom(page);
+            expect(result.items).to.deep.equal([
+                { name: "1", title: "One" },
+                { name: "2", title: "Two" },
+                { name: "3", title: "Three" }
+            ]);
+        });
+
+        it("should extract dates, URLs, and regular expression matches", async () => {
+            const extractor = new DataExtractor({
+                published: {
+                    type: "date",
+                    selector: "time"
+                },
+                updated: {
+                    type: "date",
+                    selector: ".updated",
+                    formats: ["MMMM D, YYYY"]
+                },
+                link: {
+                    type: "url",
+                    selector: "a"
+                },
+                version: {
+                    type: "match",
+                    selector: ".version",
+                    pattern: /(\d+)\.(\d+)/,
+                    groups: ["major", "minor"]
+                }
+            });
+
+            await page.setContent(`
+                <base href="https://example.com/blog/">
+                <time datetime="2021-05-06">May 6</time>
+                <span class="updated">June 10, 2021</span>
+                <a href="../about">About</a>
+                <span class="version">Version 3.14</span>
+            `);
+
+            const result = await extractor.extractFrom(page);
+            expect(result).to.deep.equal({
+                published: "2021-05-06T00:00:00.000Z",
+                updated: "2021-06-10T00:00:00.000Z",
+                link: "https://example.com/about",
+                version: { major: "3", minor: "14" }
+            });
+        });
+
+        it("should use custom schema types inside of built-in types", async () => {
+            const extractor = new DataExtractor({
+                products: {
+                    type: "array",
+                    selector: "li",
+                    items: {
+                        rating: {
+                            type: "rating",
+                            selector: ".stars"
+                        }
+                    }
+                }
+            }, {
+                types: {
+                    rating(root, { selector, optional }) {
+                        return this.custom(root, {
+                            selector,
+                            optional,
+                            extract: element => element.querySelectorAll(".filled").length
+                        });
+                    }
+                }
+            });
+
+            await page.setContent(`
+                <ul>
+                    <li><span class="stars"><i class="filled"></i><i class="filled"></i><i></i></span></li>
+                    <li><span class="stars"><i class="filled"></i><i></i><i></i></span></li>
+                </ul>
+            `);
+
+            const result = await extractor.extractFrom(page);
+            expect(result).to.deep.equal({
+                products: [
+                    { rating: 2 },
+                    { rating: 1 }
+                ]
+            });
+        });
+    });
+
+    describe("extractAll()", () => {
+        it("should extract from each file and report failures with progress", async () => {
+            const expected = JSON.parse(await fs.readFile("tests/fixtures/blog-somewhat-complete-salary-history.json", "utf8"));
+            const extractor = new DataExtractor(salaryPost);
+            const targets = [
+                "tests/fixtures/blog-somewhat-complete-salary-history.html",
+                "tests/fixtures/missing.html",
+                getFileUrlRelativeToTest("fixtures/blog-somewhat-complete-salary-history.html")
+            ];
+            const results = [];
+
+            // only load the fixtures themselves so ancillary requests can't hang the test
+            const createPage = async () => {
+                const newPage = await browser.newPage();
+
+                await newPage.setRequestInterception(true);
+                newPage.on("request", request => {
+                    if (request.url().startsWith("file:")) {
+                        request.continue();
+                    } else {
+                        request.abort();
+                    }
+                });
+
+                return newPage;
+            };
+
+            for await (const item of extractor.extractAll(targets, { createPage, concurrency: 2, retries: 1 })) {
+                results.push(item);
+            }
+
+            results.sort((a, b) => a.index - b.index);
+
+            expect(results.map(item => item.target)).to.deep.equal(targets);
+            expect(normalizeToJson(results[0].result)).to.deep.equal(expected);
+            expect(normalizeToJson(results[2].result)).to.deep.equal(expected);
+            expect(results[1].error).to.be.an("error");
+            expect(results[1].attempts).to.equal(2);
+            expect(results.map(item => item.progress.completed).sort()).to.deep.equal([1, 2, 3]);
+            expect(results.find(item => item.progress.completed === 3).progress).to.deep.equal({
+                total: 3,
+                completed: 3,
+                succeeded: 2,
+                failed: 1
+            });
+        });
+    });
+});
+
+describe("extractFromHtml()", () => {
+
+    it("should return the same data as extracting from a page", async () => {
+        const html = await fs.readFile("tests/fixtures/blog-somewhat-complete-salary-history.html", "utf8");
+        const expected = JSON.parse(await fs.readFile("tests/fixtures/blog-somewhat-complete-salary-history.json", "utf8"));
+        const extractor = new DataExtractor(salaryPost);
+
+        const result = normalizeToJson(await extractor.extractFromHtml(html, {
+            url: "https://humanwhocodes.com/blog/2021/02/salary-history/"
+        }));
+        expect(result).to.deep.equal(expected);
+    });
+
+    it("should report definitions that require a browser", async () => {
+        const extractor = new DataExtractor({
+            title: { type: "string", selector: "h1" },
+            next: { type: "url", selector: "a", follow: {
+                title: { type: "string", selector: "h1" }
+            } },
+            framed: { type: "string", selector: "h1", frame: "iframe" }
+        });
+
+        const { data, errors } = await extractor.extractFromHtml(`
+            <h1>Hello</h1>
+            <a href="/next">Next</a>
+            <iframe src="/frame"></iframe>
+        `, { url: "https://example.com/", collectErrors: true });
+
+        expect(data).to.deep.equal({ title: "Hello", next: undefined, framed: undefined });
+        expect(errors.map(error => [error.path, error.code])).to.deep.equal([
+            ["next", "NOT_SUPPORTED"],
+            ["framed", "NOT_SUPPORTED"]
+        ]);
+    });
+
+    it("should ignore the text of scripts and styles in text selectors", async () => {
+        const extractor = new DataExtractor({
+            tags: {
+                type: "array",
+                selector: "text=Sold out",
+                items: { name: { type: "string", property: "tagName" } }
+            }
+        });
+        const html = `
+            <html>
+                <head>
+                    <title>Sold out</title>
+                    <style>.sold-out::after { content: "Sold out"; }</style>
+                </head>
+                <body>
+                    <div>
+                        <script>const status = "Sold out";</script>
+                        <span>Sold out</span>
+                    </div>
+                </body>
+            </html>
+        `;
+
+        for (const inPage of [false, true]) {
+            const data = await extractor.extractFromHtml(html, { inPage });
+            expect(data.tags).to.deep.equal([{ name: "SPAN" }]);
+        }
+    });
+
+    it("should combine the rows of every matching table", async () => {
+        const extractor = new DataExtractor({
+            salaries: {
+                type: "table",
+                selector: "table",
+                body: [{ type: "number" }, { type: "string" }]
+            }
+        });
+        const html = `
+            <table>
+                <tr><th>Year</th><th>Company</th></tr>
+                <tr><td>2000</td><td>Radnet, Inc.</td></tr>
+            </table>
+            <table>
+                <tr><th>Year</th><th>Company</th></tr>
+                <tr><td>2001</td><td>Yahoo</td></tr>
+            </table>
+        `;
+
+        for (const inPage of [false, true]) {
+            const data = await extractor.extractFromHtml(html, { inPage });
+
+            expect(data.salaries).to.deep.equal({
+                head: [["Year", "Company"], ["Year", "Company"]],
+                body: [[2000, "Radnet, Inc."], [2001, "Yahoo"]],
+                foot: []
+            });
+        }
+    });
+
+    it("should only treat numbers directly after a minus sign as negative", async () => {
+        const extractor = new DataExtractor({
+            loss: { type: "number", selector: ".loss" },
+            sku: { type: "number", selector: ".sku" },
+            stock: { type: "number", selector: ".stock" }
+        });
+
+        const data = await extractor.extractFromHtml(`
+            <span class="loss">-$5.50</span>
+            <span class="sku">SKU-123</span>
+            <span class="stock">In stock - 5 left</span>
+        `);
+
+        expect(data).to.deep.equal({ loss: -5.5, sku: 123, stock: 5 });
+    });
+
+    it("should evaluate XPath selectors inside of the current element", async () => {
+        const extractor = new DataExtractor({
+            products: {
+                type: "array",
+                selector: "//li",
+                items: {
+                    price: { type: "number", selector: "//dt[.='Price']/following-sibling::dd[1]" }
+                }
+            }
+        });
+        const html = `
+            <li><dl><dt>Price</dt><dd>$5</dd></dl></li>
+            <li><dl><dt>Price</dt><dd>$10</dd></dl></li>
+        `;
+
+        for (const inPage of [false, true]) {
+            const data = await extractor.extractFromHtml(html, { inPage });
+            expect(data.products).to.deep.equal([{ price: 5 }, { price: 10 }]);
+        }
+    });
+
+    it("should parse dates without a time zone as UTC", async () => {
+        const extractor = new DataExtractor({
+            published: { type: "date", selector: ".published" },
+            updated: { type: "date", selector: ".updated" }
+        });
+        const timeZone = process.env.TZ;
+
+        // text without a time zone would otherwise be read in local time
+        process.env.TZ = "America/New_York";
+
+        try {
+            const data = await extractor.extractFromHtml(`
+                <span class="published">March 5, 2021</span>
+                <span class="updated">2021-03-05T10:00:00+01:00</span>
+            `);
+
+            expect(data).to.deep.equal({
+                published: "2021-03-05T00:00:00.000Z",
+                updated: "2021-03-05T09:00:00.000Z"
+            });
+        } finally {
+            if (typeof timeZone === "undefined") {
+                delete process.env.TZ;
+            } else {
+                process.env.TZ = timeZone;
+            }
+        }
+    });
+
+    it("should match text in square brackets in date formats as-is", async () => {
+        const extractor = new DataExtractor({
+            updated: {
+                type: "date",
+                selector: ".updated",
+                formats: ["MMMM D, YYYY [at] h:mm A"]
+            }
+        });
+
+        const data = await extractor.extractFromHtml(`
+            <span class="updated">June 10, 2021 at 9:30 PM</span>
+        `);
+        expect(data.updated).to.equal("2021-06-10T21:30:00.000Z");
+    });
+
+    it("should return undefined for optional dates that can't be parsed", async () => {
+        const extractor = new DataExtractor({
+            updated: { type: "date", selector: ".updated", optional: true }
+        });
+
+        for (const inPage of [false, true]) {
+            const data = await extractor.extractFromHtml(`
+                <span class="updated">Coming soon</span>
+            `, { inPage });
+
+            expect(data).to.deep.equal({ updated: undefined });
+        }
+    });
+
+    it("should await convert functions and pass them a context", async () => {
+        const extractor = new DataExtractor({
+            first: { type: "string", selector: "h1" },
+            full: {
+                type: "string",
+                selector: "h2",
+                async convert(value, { parent, path, url, handle }) {
+                    const tagName = await handle.evaluate(element => element.tagName);
+                    return `${parent.first} ${value} (${path}, ${tagName}, ${url})`;
+                }
+            }
+        });
+
+        const data = await extractor.extractFromHtml("<h1>Nicholas</h1><h2>Zakas</h2>", {
+            url: "https://example.com/"
+        });
+
+        expect(data.full).to.equal("Nicholas Zakas (full, H2, https://example.com/)");
+    });
+
+    it("should pass the context to a second parameter with a default value", async () => {
+        const extractor = new DataExtractor({
+            color: {
+                type: "string",
+                selector: ".color",
+                convert: (value, { path } = {}) => `${path}: ${value}`
+            },
+            size: {
+                type: "string",
+                selector: ".size",
+                convert: ["trim", (value, { parent } = {}) => `${parent.color}, ${value}`]
+            }
+        });
+
+        const data = await extractor.extractFromHtml(`
+            <span class="color">red</span>
+            <span class="size"> large </span>
+        `);
+
+        expect(data).to.deep.equal({ color: "color: red", size: "color: red, large" });
+    });
+
+    it("should compute values after their siblings are extracted", async () => {
+        const extractor = new DataExtractor({
+            total: {
+                type: "computed",
+                compute: ({ items }) => items.reduce((sum, item) => sum + item.total, 0)
+            },
+            items: {
+                type: "array",
+                selector: "li",
+                items: {
+                    total: {
+                        type: "computed",
+                        compute: async ({ price, quantity }) => price * quantity
+                    },
+                    price: { type: "number", selector: ".price" },
+                    quantity: { type: "number", selector: ".quantity" }
+                }
+            }
+        });
+
+        const html = `
+            <ul>
+                <li><span class="price">$2.50</span> x <span class="quantity">2</span></li>
+                <li><span class="price">$4</span> x <span class="quantity">3</span></li>
+            </ul>
+        `;
+
+        for (const inPage of [false, true]) {
+            const data = await extractor.extractFromHtml(html, { inPage });
+
+            expect(data).to.deep.equal({
+                total: 17,
+                items: [
+                    { total: 5, price: 2.5, quantity: 2 },
+                    { total: 12, price: 4, quantity: 3 }
+                ]
+            });
+            expect(Object.keys(data)).to.deep.equal(["total", "items"]);
+        }
+    });
+
+    it("should choose switch cases using conditions and a default", async () => {
+        const extractor = new DataExtractor({
+            status: {
+                type: "switch",
+                cases: [
+                    {
+                        if: { selector: ".stock", equals: "Sold out" },
+                        then: { type: "string", selector: ".restock" }
+                    },
+                    {
+                        if: { selector: ".stock", attribute: "data-count", matches: "^\\d+$" },
+                        then: { type: "number", selector: ".stock", attribute: "data-count" }
+                    }
+                ],
+                default: { type: "string", selector: ".stock" },
+                convert: value => `status: ${value}`
+            },
+            sale: {
+                type: "switch",
+                optional: true,
+                cases: [{ if: ".sale", then: { type: "string", selector: ".sale" } }]
+            },
+            reviews: {
+                type: "switch",
+                cases: [
+                    { if: { selector: ".review", count: { min: 3 } }, then: { type: "string", selector: ".review" } },
+                    { if: { url: "/reviews$" }, then: { type: "string", selector: ".review" } }
+                ]
+            }
+        });
+
+        const { data, errors } = await extractor.extractFromHtml(`
+            <p class="stock" data-count="many"> In stock </p>
+            <p class="review">Great</p>
+        `, { url: "https://example.com/products/1", collectErrors: true });
+
+        expect(data).to.deep.equal({ status: "status: In stock", sale: undefined, reviews: undefined });
+        expect(errors.map(error => [error.code, error.message])).to.deep.equal([
+            ["NO_MATCHING_CASE", "reviews: No cases matched. Tried \".review\" count {\"min\":3}, URL matching /\\/reviews$/."]
+        ]);
+    });
+
+    it("should report values that don't meet their constraints", async () => {
+        const extractor = new DataExtractor({
+            title: { type: "string", selector: "h1", attribute: "data-title", convert: "trim", constraints: { nonEmpty: true } },
+            price: { type: "number", selector: ".price", constraints: { min: 1 } },
+            status: { type: "string", selector: ".status", constraints: { enum: ["open", "closed"] } },
+            tags: {
+                type: "array",
+                selector: "li",
+                constraints: { minItems: 3 },
+                items: {
+                    name: { type: "string", constraints: { pattern: "^[a-z]+$" } }
+                }
+            },
+            sale: { type: "string", selector: ".sale", optional: true, constraints: { nonEmpty: true } }
+        });
+        const html = `
+            <h1 data-title=" "></h1>
+            <p class="price">0</p>
+            <p class="status">open</p>
+            <ul><li>one</li><li>Two</li></ul>
+        `;
+
+        for (const inPage of [false, true]) {
+            const { data, errors } = await extractor.extractFromHtml(html, { inPage, collectErrors: true });
+
+            expect(data).to.deep.equal({ title: undefined, price: undefined, status: "open", tags: undefined, sale: undefined });
+            expect(errors.map(error => [error.code, error.message, error.value])).to.deep.equal([
+                ["CONSTRAINT_VIOLATION", "title: \" \" must not be empty.", " "],
+                ["CONSTRAINT_VIOLATION", "price: \"0\" must be at least 1.", "0"],
+                ["CONSTRAINT_VIOLATION", "tags[1].name: \"Two\" must match /^[a-z]+$/.", "Two"],
+                ["CONSTRAINT_VIOLATION", "tags: Found 2 items but expected at least 3.", [{ name: "one" }, { name: undefined }]]
+            ]);
+        }
+    });
+
+    it("should trace how each value was extracted", async () => {
+        const extractor = new DataExtractor({
+            price: { type: "number", selector: ".price", convert: value => value * 2 },
+            tags: {
+                type: "array",
+                selector: "li",
+                items: {
+                    name: { type: "string" }
+                }
+            },
+            sale: { type: "string", selector: ".sale", optional: true }
+        });
+
+        const { data, trace } = await extractor.extractFromHtml(`
+            <p class="price">$5</p>
+            <p class="price">$6</p>
+            <ul><li>one</li></ul>
+        `, { inPage: true, trace: true });
+        const simplify = ({ path, type, selector, matched, text, value, children }) => ({
+            path, type, selector, matched, text, value, children: children.map(simplify)
+        });
+
+        expect(data).to.deep.equal({ price: 10, tags: [{ name: "one" }], sale: undefined });
+        expect(trace.url).to.equal("about:blank");
+        expect(trace.nodes.map(simplify)).to.deep.equal([
+            { path: "price", type: "number", selector: ".price", matched: 2, text: "$5", value: 10, children: [] },
+            {
+                path: "tags",
+                type: "array",
+                selector: "li",
+                matched: 1,
+                text: undefined,
+                value: [{ name: "one" }],
+                children: [
+                    { path: "tags[0].name", type: "string", selector: null, matched: null, text: "one", value: "one", children: [] }
+                ]
+            },
+            { path: "sale", type: "string", selector: ".sale", matched: 0, text: undefined, value: undefined, children: [] }
+        ]);
+    });
+
+    it("should load a JSON schema that uses named converters and extractors", async () => {
+        const extractor = await DataExtractor.fromJsonFile("tests/fixtures/json-schema-with-named-converters.json", {
+            extractors: {
+                childCount: element => element.children.length
+            }
+        });
+
+        const data = await extractor.extractFromHtml(`
+            <h1>  Hello World </h1>
+            <p class="tags">#one, #two ,three</p>
+            <p class="price">N/A</p>
+            <ul><li>1</li><li>2</li></ul>
+        `);
+
+        expect(data).to.deep.equal({
+            title: "hello world",
+            tags: ["one", "two", "three"],
+            price: 0,
+            links: 2
+        });
+    });
+});
+
+describe("extractFrom() without a browser", () => {
+
+    it("should paginate by following links and clicking buttons", async () => {
+        const driver = createSiteDriver({
+            "https://example.com/2": `
+                <li>Two</li>
+                <button class="next" data-href="/3">Next</button>
+            `,
+            "https://example.com/3": `
+                <li>Three</li>
+                <button class="next" disabled>Next</button>
+            `
+        });
+        const extractor = new DataExtractor({
+            items: {
+                type: "array",
+                selector: "li",
+                items: { name: { type: "string", selector: "" } },
+                paginate: { next: ".next" }
+            }
+        });
+        const page = await createHtmlPage(`
+            <li>One</li>
+            <a class="next" href="/2">Next</a>
+        `, { url: "https://example.com/1" });
+
+        const data = await extractor.extractFrom(page, { driver });
+        expect(data.items.map(item => item.name)).to.deep.equal(["One", "Two", "Three"]);
+    });
+
+    it("should extract from shadow roots", async () => {
+        const extractor = new DataExtractor({
+            card: {
+                type: "object",
+                shadow: "user-card",
+                properties: {
+                    name: { type: "string", selector: ".name" }
+                }
+            },
+            ratings: {
+                type: "array",
+                selector: "star-rating",
+                items: {
+                    stars: { type: "number", selector: ".stars", shadow: true }
+                }
+            }
+        });
+        const page = await createHtmlPage(`
+            <user-card></user-card>
+            <star-rating data-stars="4"></star-rating>
+            <star-rating data-stars="5"></star-rating>
+        `);
+
+        await htmlDriver.evaluate(page, () => {
+            document.querySelector("user-card")
+                .attachShadow({ mode: "open" })
+                .innerHTML = "<span class='name'>Nicholas</span>";
+
+            for (const element of document.querySelectorAll("star-rating")) {
+                element.attachShadow({ mode: "open" }).innerHTML = `<span class="stars">${element.dataset.stars}</span>`;
+            }
+        });
+
+        const data = await extractor.extractFrom(page, { driver: htmlDriver });
+        expect(data).to.deep.equal({
+            card: { name: "Nicholas" },
+            ratings: [{ stars: 4 }, { stars: 5 }]
+        });
+    });
+
+    it("should outline the elements that were used only while taking a screenshot", async () => {
+        const countOutlines = page => htmlDriver.evaluate(page, () => document.querySelectorAll("[data-trace-outlines] > div").length);
+        let outlinesInScreenshot;
+        const driver = {
+            ...htmlDriver,
+
+            async screenshot(page) {
+                outlinesInScreenshot = await countOutlines(page);
+                return new Uint8Array([1]);
+            }
+        };
+        const extractor = new DataExtractor({
+            title: { type: "string", selector: "h1" },
+            html: { type: "string", selector: "h1", property: "outerHTML" },
+            tags: {
+                type: "array",
+                selector: "li",
+                items: { name: { type: "string" } }
+            }
+        });
+        const page = await createHtmlPage(`
+            <h1>Hello</h1>
+            <ul><li>one</li><li>two</li></ul>
+        `);
+
+        const { data, trace } = await extractor.extractFrom(page, { driver, trace: { screenshot: true } });
+        expect(data.html).to.equal("<h1>Hello</h1>");
+        expect(outlinesInScreenshot).to.equal(4);
+        expect(trace.screenshot).to.deep.equal(new Uint8Array([1]));
+        expect(await countOutlines(page)).to.equal(0);
+    });
+
+    it("should throw the extraction error when the screenshot fails", async () => {
+        const driver = {
+            ...htmlDriver,
+
+            async screenshot() {
+                throw new Error("Screenshot failed.");
+            }
+        };
+        const extractor = new DataExtractor({
+            title: { type: "string", selector: "h1" },
+            price: { type: "number", selector: ".price" }
+        });
+        const page = await createHtmlPage("<h1>Hello</h1>");
+
+        try {
+            await extractor.extractFrom(page, { driver, trace: { screenshot: true } });
+            throw new Error("Expected an error.");
+        } catch (ex) {
+            expect(ex).to.be.instanceOf(ExtractionError);
+            expect(ex.code).to.equal("ELEMENT_NOT_FOUND");
+            expect(ex.data).to.deep.equal({ title: "Hello", price: undefined });
+            expect(ex.trace.nodes.map(node => node.path)).to.deep.equal(["title", "price"]);
+            expect(ex.trace).to.not.have.property("screenshot");
+        }
+    });
+
+    it("should follow links to other pages", async () => {
+        const driver = createSiteDriver({
+            "https://example.com/authors/nicholas": "<h1>Nicholas</h1>"
+        });
+        const extractor = new DataExtractor({
+            title: { type: "string", selector: "h1" },
+            author: {
+                type: "url",
+                selector: "a",
+                follow: {
+                    name: { type: "string", selector: "h1" }
+                }
+            }
+        });
+        const page = await createHtmlPage(`
+            <h1>Post</h1>
+            <a href="/authors/nicholas">Author</a>
+        `, { url: "https://example.com/posts/1" });
+
+        const data = await extractor.extractFrom(page, { driver });
+        expect(data).to.deep.equal({ title: "Post", author: { name: "Nicholas" } });
+    });
+
+    it("should throw when a next button is missing after reloading the page", async () => {
+        const driver = createSiteDriver({
+            "https://example.com/1": "<li>One</li>"
+        });
+        const extractor = new DataExtractor({
+            items: {
+                type: "array",
+                selector: "li",
+                items: { name: { type: "string", selector: "" } },
+                paginate: { next: ".next" }
+            }
+        });
+
+        // the button was added by a script, so it's missing when reloaded
+        const page = await createHtmlPage(`
+            <li>One</li>
+            <button class="next" data-href="/2">Next</button>
+        `, { url: "https://example.com/1" });
+
+        const { data, errors } = await extractor.extractFrom(page, { driver, collectErrors: true });
+        expect(data.items).to.equal(undefined);
+        expect(errors.map(error => [error.path, error.code, error.selectors])).to.deep.equal([
+            ["items", "ELEMENT_NOT_FOUND", [".next"]]
+        ]);
+    });
+});
+
+describe("extractAll() without a browser", () => {
+
+    it("should throw for invalid targets and options right away", () => {
+        const extractor = new DataExtractor({ title: { type: "string", selector: "h1" } });
+        const createPage = () => createHtmlPage("");
+
+        expect(() => extractor.extractAll(123, { createPage })).to.throw(TypeError, "Targets must be an iterable");
+        expect(() => extractor.extractAll(["one.html"])).to.throw(TypeError, "requires a \"browser\"");
+        expect(() => extractor.extractAll(["one.html"], { createPage, retries: -1 })).to.throw(TypeError, "Retries");
+        expect(() => extractor.extractAll(["one.html"], { createPage, retryDelay: -1 })).to.throw(TypeError, "Retry delay");
+        expect(() => extractor.extractAll(["one.html"], { createPage, timeout: "5s" })).to.throw(TypeError, "Timeout");
+    });
+
+    it("should extract from each URL and report failures with progress", async () => {
+        const driver = createSiteDriver({
+            "https://example.com/one": "<h1>One</h1>",
+            "https://example.com/two": "<h1>Two</h1>"
+        });
+        const extractor = new DataExtractor({ title: { type: "string", selector: "h1" } });
+        const createPage = () => createHtmlPage("");
+        const targets = ["https://example.com/one", "https://example.com/missing", "https://example.com/two"];
+        const results = [];
+
+        for await (const item of extractor.extractAll(targets, { createPage, driver, concurrency: 2, retries: 1 })) {
+            results.push(item);
+        }
+
+        results.sort((a, b) => a.index - b.index);
+
+        expect(results.map(item => item.result)).to.deep.equal([{ title: "One" }, undefined, { title: "Two" }]);
+        expect(results[1].error.message).to.equal("Page https://example.com/missing not found.");
+        expect(results.map(item => item.attempts)).to.deep.equal([1, 2, 1]);
+        expect(results.map(item => item.progress.completed).sort()).to.deep.equal([1, 2, 3]);
+        expect(results.find(item => item.progress.completed === 3).progress).to.deep.equal({
+            total: 3,
+            completed: 3,
+            succeeded: 2,
+            failed: 1
+        });
+    });
+
+    it("should count opening the page toward the timeout", async () => {
+        const closed = [];
+        const driver = {
+            ...createSiteDriver({ "https://example.com/": "<h1>Hello</h1>" }),
+
+            closePage(page) {
+                closed.push(page);
+                return page.close();
+            }
+        };
+        const extractor = new DataExtractor({ title: { type: "string", selector: "h1" } });
+        const createPage = async () => {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            return createHtmlPage("");
+        };
+        const results = [];
+
+        for await (const item of extractor.extractAll(["https://example.com/"], { createPage, driver, timeout: 20 })) {
+            results.push(item);
+        }
+
+        expect(results[0].error.name).to.equal("TimeoutError");
+
+        // the page is closed as soon as it opens
+        expect(closed).to.have.lengthOf(0);
+        await new Promise(resolve => setTimeout(resolve, 150));
+        expect(closed).to.have.lengthOf(1);
+    });
+
+    it("should stop retrying and close the open pages when the caller stops early", async () => {
+        const site = createSiteDriver({
+            "https://example.com/one": "<h1>One</h1>",
+            "https://example.com/slow": "<h1>Slow</h1>"
+        });
+        const opened = [];
+        const closed = [];
+        const driver = {
+            ...site,
+
+            async goto(page, url) {
+                if (url.endsWith("slow")) {
+                    await new Promise(resolve => setTimeout(resolve, 2000));
+                }
+
+                await site.goto(page, url);
+            },
+
+            closePage(page) {
+                closed.push(page);
+                return page.close();
+            }
+        };
+        const createPage = async () => {
+            const page = await createHtmlPage("");
+            opened.push(page);
+            return page;
+        };
+        const extractor = new DataExtractor({ title: { type: "string", selector: "h1" } });
+        const targets = ["https://example.com/one", "https://example.com/missing", "https://example.com/slow"];
+        const start = Date.now();
+
+        for await (const item of extractor.extractAll(targets, { createPage, driver, retries: 3, retryDelay: 5000 })) {
+            expect(item.result).to.deep.equal({ title: "One" });
+            break;
+        }
+
+        expect(Date.now() - start).to.be.below(1000);
+        expect(opened).to.have.lengthOf(3);
+        expect(closed).to.have.members(opened);
+    });
+});
+
+describe("playwrightDriver without a browser", () => {
+
+    it("should be chosen for Playwright pages", async () => {
+        const page = await createPlaywrightPage("");
+
+        expect(detectDriver(page)).to.equal(playwrightDriver);
+        expect(detectDriver({ browser() {}, browserContext() {} })).to.equal(puppeteerDriver);
+    });
+
+    [false, true].forEach(inPage => {
+        it(`should extract data from Playwright pages (inPage: ${inPage})`, async () => {
+            const extractor = new DataExtractor({
+                title: { type: "string", selector: "h1" },
+                link: { type: "string", selector: "a", attribute: "href" },
+                items: {
+                    type: "array",
+                    selector: "li",
+                    items: { name: { type: "string", selector: ".name" }, price: { type: "number", selector: ".price" } }
+                },
+                rows: { type: "table", selector: "table" }
+            });
+            const page = await createPlaywrightPage(`
+                <h1>Products</h1>
+                <a href="/more">More</a>
+                <ul>
+                    <li><span class="name">One</span> <span class="price">1</span></li>
+                    <li><span class="name">Two</span> <span class="price">2</span></li>
+                </ul>
+                <table>
+                    <tr><th>Name</th></tr>
+                    <tr><td>Three</td></tr>
+                </table>
+            `);
+
+            const data = await extractor.extractFrom(page, { inPage });
+            expect(data).to.deep.equal({
+                title: "Products",
+                link: "/more",
+                items: [{ name: "One", price: 1 }, { name: "Two", price: 2 }],
+                rows: { head: [["Name"]], body: [["Three"]], foot: [] }
+            });
+        });
+    });
+
+    it("should pass every argument to functions run on pages and handles", async () => {
+        const page = await createPlaywrightPage("<p>Hello</p>");
+        const handle = await playwrightDriver.querySelector(page, "p");
+
+        expect(await playwrightDriver.evaluate(page, (a, b) => a + b, 1, 2)).to.equal(3);
+        expect(await playwrightDriver.evaluate(handle, (element, a, b) => `${element.textContent}${a}${b}`, "!", "?")).to.equal("Hello!?");
+        expect(await playwrightDriver.evaluate(page, (element, text) => element.textContent + text, handle, "!")).to.equal("Hello!");
+
+        const lengthHandle = await playwrightDriver.evaluateHandle(handle, (element, a) => element.textContent.length + a, 1);
+        expect(await lengthHandle.evaluate(value => value)).to.equal(6);
+    });
+
+    it("should evaluate string expressions without wrapping them", async () => {
+        const page = await createPlaywrightPage("<p>Hello</p>");
+
+        expect(await playwrightDriver.evaluate(page, "document.querySelector('p').textContent")).to.equal("Hello");
+
+        const handle = await playwrightDriver.evaluateHandle(page, "(element => element.textContent)");
+        expect(await handle.evaluate((fn, element) => fn(element), await page.$("p"))).to.equal("Hello");
+    });
+
+    it("should wait for the network to be idle", async () => {
+        const calls = [];
+        const page = {
+            async waitForLoadState(state, options) {
+                calls.push([state, options]);
+            }
+        };
+
+        await playwrightDriver.waitForNetworkIdle(page, { timeout: 100 });
+        expect(calls).to.deep.equal([["networkidle", { timeout: 100 }]]);
+    });
+
+    it("should open pages in the context of the page", async () => {
+        const visited = [];
+        const newPage = {
+            async goto(url) {
+                visited.push(url);
+            }
+        };
+        const page = {
+            context() {
+                return { newPage: async () => newPage };
+            }
+        };
+
+        expect(await playwrightDriver.openPage(page, "https://example.com/")).to.equal(newPage);
+        expect(visited).to.deep.equal(["https://example.com/"]);
+    });
+});
+
+describe("validateSchema()", () => {
+
+    it("should return no problems for a valid schema", () => {
+        expect(validateSchema(salaryPost)).to.deep.equal([]);
+    });
+
+    it("should return every problem with its path", () => {
+        const problems = validateSchema({
+            books: {
+                type: "array",
+                selector: "li",
+                items: {
+                    title: {
+                        type: "strng"
+                    }
+                }
+            },
+            salaries: {
+                type: "table",
+                body: [
+                    { type: "number" },
+                    { selector: "td" }
+                ]
+            },
+            references: {
+                type: "switch",
+                cases: [
+                    {
+                        if: "#references",
+                        then: {
+                            type: "array",
+                            selector: "ol > li"
+                        }
+                    }
+                ]
+            }
+        });
+
+        expect(problems).to.deep.equal([
+            { path: "books.items.title.type", message: "unknown type \"strng\"" },
+            { path: "salaries.selector", message: "is required" },
+            { path: "salaries.body[1].type", message: "is required" },
+            { path: "references.cases[0].then.items", message: "must be an object of schema definitions" }
+        ]);
+    });
+
+    it("should report shadow: true at the top of a page", () => {
+        const problems = validateSchema({
+            card: { type: "string", selector: ".name", shadow: true },
+            link: {
+                type: "url",
+                selector: "a",
+                follow: {
+                    title: { type: "string", selector: "h1", shadow: true }
+                }
+            },
+            items: {
+                type: "array",
+                selector: "li",
+                items: {
+                    name: { type: "string", selector: ".name", shadow: true }
+                }
+            }
+        });
+
+        expect(problems).to.deep.equal([
+            { path: "card.shadow", message: "must be a selector at the top of a page" },
+            { path: "link.follow.title.shadow", message: "must be a selector at the top of a page" }
+        ]);
+    });
+
+    it("should allow custom schema types", () => {
+        const problems = validateSchema({
+            rating: {
+                type: "rating",
+                selector: ".stars"
+            }
+        }, {
+            types: {
+                rating() {}
+            }
+        });
+
+        expect(problems).to.deep.equal([]);
+    });
+
+    it("should cause the DataExtractor constructor to throw a SchemaError", () => {
+        expect(() => {
+            new DataExtractor({
+                title: {
+                    type: "strng",
+                    selector: "h1"
+                }
+            });
+        }).to.throw(SchemaError, "title.type: unknown type \"strng\"");
+    });
+
+    it("should report unknown converters and extractors", () => {
+        const problems = validateSchema({
+            title: { type: "string", selector: "h1", convert: "trim|toNumbr" },
+            tags: { type: "string", selector: ".tags", convert: [{ name: "split", args: "," }] },
+            links: { type: "custom", selector: "ul", extract: "childCount" }
+        });
+
+        expect(problems).to.deep.equal([
+            { path: "title.convert", message: "unknown converter \"toNumbr\"" },
+            { path: "tags.convert[0].args", message: "must be an array" },
+            { path: "links.extract", message: "unknown extractor \"childCount\"" }
+        ]);
+    });
+});
+
+describe("toJsonSchema()", () => {
+
+    it("should describe the data extracted with a schema", () => {
+        const jsonSchema = toJsonSchema({
+            title: { type: "string", selector: "h1" },
+            price: { type: "number", selector: ".price", optional: true },
+            tags: {
+                type: "array",
+                selector: ".tags li",
+                items: {
+                    name: { type: "string" }
+                }
+            },
+            salaries: {
+                type: "table",
+                selector: "table",
+                keys: ["name", "salary"],
+                body: [null, { type: "number" }]
+            },
+            slug: { type: "string", selector: "h1", convert: "trim|lowercase" }
+        }, { title: "Post" });
+
+        expect(jsonSchema).to.deep.equal({
+            $schema: "http://json-schema.org/draft-07/schema#",
+            title: "Post",
+            type: "object",
+            properties: {
+                title: { type: "string" },
+                price: { type: "number" },
+                tags: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        properties: {
+                            name: { type: "string" }
+                        },
+                        required: ["name"],
+                        additionalProperties: false
+                    }
+                },
+                salaries: {
+                    type: "object",
+                    properties: {
+                        head: { type: "array", items: { type: "array", items: [], additionalItems: { type: "string" } } },
+                        body: { type: "array", items: { type: "object", properties: { salary: { type: "number" } }, additionalProperties: { type: "string" } } },
+                        foot: { type: "array", items: { type: "object", properties: {}, additionalProperties: { type: "string" } } }
+                    },
+                    required: ["head", "body", "foot"],
+                    additionalProperties: false
+                },
+                slug: {}
+            },
+            required: ["title", "tags", "salaries", "slug"],
+            additionalProperties: false
+        });
+    });
+
+    it("should describe constraints the same way they're checked", () => {
+        const jsonSchema = toJsonSchema({
+            title: { type: "string", selector: "h1", constraints: { nonEmpty: true } },
+            code: { type: "string", selector: ".code", constraints: { nonEmpty: true, pattern: /^[A-Z]+$/ } },
+            sku: { type: "string", selector: ".sku", constraints: { pattern: /\d+/y } },
+            name: { type: "string", selector: ".name", constraints: { pattern: /^abc$/i } },
+            price: { type: "number", selector: ".price", constraints: { min: 0, max: 10 } }
+        });
+
+        expect(jsonSchema.properties).to.deep.equal({
+            title: { type: "string", pattern: "\\S", minItems: 1 },
+            code: { type: "string", pattern: "\\S", allOf: [{ pattern: "^[A-Z]+$" }], minItems: 1 },
+            sku: { type: "string", pattern: "^(?:\\d+)" },
+            name: { type: "string" },
+            price: { type: "number", minimum: 0, maximum: 10 }
+        });
     });
 });